@@ -238,6 +238,15 @@ class Analytics {
         }
     }
 
+    // Blog post scroll completion (depth is the percent of the post body read)
+    trackReadProgress(slug, depth, details = {}) {
+        this.track(depth >= 100 ? 'post_read_complete' : 'post_read_progress', {
+            slug: slug,
+            depth: depth,
+            ...details
+        });
+    }
+
     // A/B Testing support
     trackExperiment(experimentName, variant) {
         this.track('experiment', {
@@ -20,10 +20,12 @@ class VikasYadavApp {
     }
 
     checkAuthentication() {
-        const token = localStorage.getItem('auth_token');
-        if (token) {
-            this.validateToken(token);
+        // Validated once; callers (e.g. blog preview) share the result
+        if (!this.authCheck) {
+            const token = localStorage.getItem('auth_token');
+            this.authCheck = token ? this.validateToken(token) : Promise.resolve(false);
         }
+        return this.authCheck;
     }
 
     async validateToken(token) {
@@ -39,13 +41,14 @@ class VikasYadavApp {
                 this.isAuthenticated = true;
                 this.currentUser = data.user;
                 this.updateUIForAuthenticatedUser();
-            } else {
-                localStorage.removeItem('auth_token');
+                return true;
             }
+            localStorage.removeItem('auth_token');
         } catch (error) {
             console.warn('Token validation failed:', error);
             localStorage.removeItem('auth_token');
         }
+        return false;
     }
 
     bindEvents() {
@@ -124,20 +127,24 @@ class VikasYadavApp {
         // Clear existing content
         container.innerHTML = '';
 
+        const sanitizer = window.Sanitizer;
+
         posts.forEach(post => {
             const article = document.createElement('article');
+            const postUrl = `blog/${encodeURIComponent(post.slug)}.html`;
+            const title = sanitizer.escapeHtml(post.title);
             article.innerHTML = `
-                <a href="blog/${post.slug}.html" class="image">
-                    <img src="${post.featured_image || 'images/default-blog.jpg'}" alt="${post.title}" loading="lazy" />
+                <a href="${postUrl}" class="image">
+                    <img src="${sanitizer.sanitizeUrl(post.featured_image, 'images/default-blog.jpg')}" alt="${title}" loading="lazy" />
                 </a>
-                <h3><a href="blog/${post.slug}.html">${post.title}</a></h3>
-                <p>${post.excerpt}</p>
+                <h3><a href="${postUrl}">${title}</a></h3>
+                <p>${sanitizer.escapeHtml(post.excerpt)}</p>
                 <div class="meta">
-                    <span class="category">${post.category}</span>
-                    <span class="date">${new Date(post.published_at).toLocaleDateString()}</span>
+                    <span class="category">${sanitizer.escapeHtml(post.category)}</span>
+                    <span class="date">${sanitizer.escapeHtml(new Date(post.published_at).toLocaleDateString())}</span>
                 </div>
                 <ul class="actions">
-                    <li><a href="blog/${post.slug}.html" class="button">Read More</a></li>
+                    <li><a href="${postUrl}" class="button">Read More</a></li>
                 </ul>
             `;
             container.appendChild(article);
@@ -1,29 +1,177 @@
 /**
  * Blog.js - Dynamic Blog Post Loader
- * Fetches blog posts from Cloudflare Workers API (Google Sheets backend)
+ * Fetches blog posts from a pluggable data source (Cloudflare Workers API over Google Sheets by default)
  * Filters posts by status (ready/posted) and handles image extraction
+ * Requires sanitize.js and markdown.js
  */
 
-(function() {
+(function(root) {
 	'use strict';
 
 	// Configuration
 	const CONFIG = {
-		API_URL: 'https://vikasyadav-blog-post.vikas4770.workers.dev',
+		// Where posts come from: 'worker' (Cloudflare Worker over Google Sheets), 'local' (JSON/Markdown
+		// folder, for offline development) or 'rest' (any JSON endpoint). Pages can override it by
+		// setting window.BLOG_DATA_SOURCE before blog.js loads.
+		DATA_SOURCE: root.BLOG_DATA_SOURCE || 'worker',
+		DATA_SOURCES: {
+			worker: {
+				url: 'https://vikasyadav-blog-post.vikas4770.workers.dev'
+			},
+			local: {
+				// Array of posts (Sheet row shape) and/or Markdown file names relative to the manifest
+				manifest: 'data/posts/index.json'
+			},
+			rest: {
+				url: '',
+				headers: {},
+				postsPath: 'posts', // Dot path to the posts array in the response ('' when it is the array)
+				fieldMap: {} // Sheet field -> response field, e.g. { idea: 'body', name: 'title' }
+			}
+		},
 		POSTS_PER_PAGE: 6,
+		// 'numbered' pages, a 'load-more' button, or 'infinite' scroll (load more when the grid end is visible);
+		// pages can override it by setting window.BLOG_PAGINATION_MODE before blog.js loads
+		PAGINATION_MODE: root.BLOG_PAGINATION_MODE || 'numbered',
+		INFINITE_SCROLL_MARGIN: '600px', // Start loading this far before the end of the grid
 		VALID_STATUSES: ['ready', 'posted'],
+		PREVIEW: {
+			param: 'preview', // ?preview=<signed token> turns preview on for the rest of the tab session
+			apiUrl: 'https://api.vikasyadav.live',
+			verifyPath: '/api/blog/preview', // Checks a signed preview token (Bearer) and answers { valid: true }
+			statuses: ['draft', 'review'], // Shown in addition to VALID_STATUSES while previewing
+			roles: ['author', 'admin'] // Signed-in users (/api/auth/me user.role or user.roles) who may preview
+		},
 		IMAGE_CACHE_TIME: 3600000, // 1 hour
-		ROTATION_INTERVAL: 7200000 // 2 hours for homepage rotation
+		IMAGE_WIDTHS: [400, 800, 1200, 1600], // Drive thumbnail widths offered in srcset
+		IMAGE_DEFAULT_WIDTH: 800,
+		IMAGE_PLACEHOLDER_WIDTH: 32, // Tiny thumbnail shown blurred while the real image loads
+		IMAGE_ASPECT_RATIO: [16, 9], // Thumbnails are cropped to this ratio so their space is reserved up front
+		IMAGE_SIZES: {
+			card: '(max-width: 736px) 100vw, (max-width: 1680px) 45vw, 30vw',
+			related: '120px',
+			featured: '(max-width: 736px) 100vw, 500px',
+			gallery: '(max-width: 736px) 50vw, 220px',
+			lightbox: '100vw'
+		},
+		IMAGE_CAPTION_SUFFIX: '_caption', // Sheet column holding a caption, e.g. image2_caption
+		GALLERY_SWIPE_THRESHOLD: 50, // Horizontal px a touch must travel to change image
+		POSTS_CACHE_KEY: 'blog_posts_cache',
+		POSTS_CACHE_VERSION: 2, // 2: drafts are no longer cached
+		POSTS_CACHE_TTL: 300000, // 5 minutes before cached posts are revalidated in the background
+		// Homepage rotation (rotation.js): 'latest', 'pinned' (pinned posts + rotating rest) or 'date-seeded';
+		// pages can override it by setting window.BLOG_ROTATION_STRATEGY / BLOG_ROTATION_SLOTS before blog.js loads
+		ROTATION_STRATEGY: root.BLOG_ROTATION_STRATEGY || 'date-seeded',
+		ROTATION_SLOTS: root.BLOG_ROTATION_SLOTS || 6,
+		PINNED_POSTS: [], // Post IDs pinned in this order, ahead of posts marked in the Sheet
+		PINNED_FIELDS: ['pinned', 'featured'], // Sheet columns that pin a post when set to yes/true/1/x
+		INDEX_DB_NAME: 'vikasyadav_blog',
+		INDEX_DB_VERSION: 2,
+		INDEX_STORE_NAME: 'posts',
+		ID_FIELDS: ['id', 'row_id', 'rowId', 'row'], // Stable row ID columns from the Sheets backend
+		HASH_FIELDS: ['Timestamp', 'created_at'], // Hashed when no row ID is present; never editable fields like idea
+		SLUG_ID_SEPARATOR: '--',
+		TAG_FIELDS: ['tags', 'tag'], // Comma-separated tag column(s) in the Sheet
+		CATEGORY_FIELD: 'category',
+		AUTHOR_FIELD: 'author', // Registry key or display name; posts without one are by DEFAULT_AUTHOR
+		DEFAULT_AUTHOR: 'vikas-yadav',
+		// Author profiles by key (?author=vikas-yadav); avatars are site-relative, links keyed by network.
+		// Pages can add authors by setting window.BLOG_AUTHORS before blog.js loads. Prototype-free, so
+		// author values like "constructor" are not mistaken for registered authors
+		AUTHORS: Object.assign(Object.create(null), {
+			'vikas-yadav': {
+				name: 'Vikas Yadav',
+				avatar: 'images/CV_image_Vikas_Yadav.jpg',
+				bio: 'AI Researcher, Full Stack Developer, and Technology Enthusiast. Exploring the intersection of AI, web development, and innovative solutions.',
+				links: {
+					website: 'https://vikasyadav.live',
+					github: 'https://github.com/vikasyadavv',
+					linkedin: 'https://linkedin.com/in/vikasyadavv',
+					twitter: 'https://twitter.com/vikasyadav__',
+					scholar: 'https://scholar.google.com/citations?user=C1cWkWYAAAAJ'
+				}
+			}
+		}, root.BLOG_AUTHORS),
+		SERIES_FIELD: 'series', // Posts sharing a series name are read in order
+		SERIES_ORDER_FIELD: 'series_order', // Optional part number; publish date otherwise
+		RELATED_POSTS_COUNT: 3,
+		RELATED_TAG_WEIGHT: 0.6,
+		RELATED_TEXT_WEIGHT: 0.4,
+		RELATED_CATEGORY_BONUS: 0.1,
+		WORDS_PER_MINUTE: 200,
+		READ_MILESTONES: [25, 50, 75, 100], // Percent of the post body reported to analytics
+		TOC_MIN_WORDS: 600, // Posts shorter than this don't get a table of contents
+		TOC_MIN_HEADINGS: 3,
+		TOC_ACTIVE_LINE: 0.3, // Heading above this fraction of the viewport height is the current section
+		PUBLISHED_FIELDS: ['published_at', 'publish_at', 'published', 'date', 'Timestamp'],
+		SCHEDULE_FIELDS: ['publish_at'], // Posts stay hidden until this time even when ready/posted
+		UPDATED_FIELDS: ['updated_at', 'updated', 'last_modified'],
+		DEFAULT_SORT: 'newest',
+		// Link posts to their pre-rendered blog/<slug>.html pages (scripts/prerender.js), the URLs the build
+		// uses for canonicals and feeds; false links post.html?slug= (dev server without a prerender run).
+		// Pages a newer post has no static page for yet are sent to post.html?slug= by /404.html
+		STATIC_POST_PAGES: true,
+		// Hand-written blog/ pages a post page must never overwrite (blog/page-N.html is pagination too)
+		RESERVED_PAGES: ['index', 'post', 'test'],
+		// Extra legacy slug -> post ID redirects; titles and the old_slugs column already redirect (slugRedirects)
+		SLUG_REDIRECTS: {},
+		LANG_FIELD: 'lang', // BCP 47 code per post, e.g. 'hi'; Devanagari posts without one are treated as Hindi
+		DEFAULT_LANG: 'en',
+		TRANSLATION_FIELD: 'translation_of', // ID of the post this one translates
+		DATE_LABELS: {
+			en: { published: 'Published on {date}', updated: 'Last updated {date}' },
+			hi: { published: '{date} को प्रकाशित', updated: 'अंतिम अपडेट {date}' }
+		}
+	};
+
+	// Shared escaping/sanitizing (sanitize.js)
+	const Sanitizer = root.Sanitizer;
+
+	// Devanagari -> Latin for slugs (simplified Hindi romanisation, no diacritics)
+	const DEVANAGARI = {
+		consonants: {
+			'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+			'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+			'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+			'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+			'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+			'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+			'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+		},
+		// Consonant + nukta (U+093C)
+		nukta: { 'क': 'q', 'ख': 'kh', 'ग': 'gh', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f', 'य': 'y' },
+		// Before ॉ, which only English loanwords use, फ is often written without its nukta (फॉर्म -> form)
+		loanwordMatra: 'ॉ',
+		vowels: {
+			'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+			'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+		},
+		matras: {
+			'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+			'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o'
+		},
+		nasals: ['ं', 'ँ'],
+		visarga: 'ः',
+		virama: '्',
+		nuktaSign: '़'
 	};
 
 	// Pagination state
 	let currentPage = 1;
 	let totalPages = 1;
 	let allValidPosts = [];
+	let unfilteredPosts = [];
+	
+	// Search state: active query matches and a post lookup for results
+	let activeSearch = null;
+	const postsById = new Map();
 
 	// Helper function to get base path (works for both local and GitHub Pages)
 	const getBasePath = function() {
-		const path = window.location.pathname;
+		// Node build scripts resolve paths from the site root
+		if (!root.location) return '';
+		
+		const path = root.location.pathname;
 		// If in a subdirectory (blog/), go up one level
 		if (path.includes('/blog/')) {
 			return '../';
@@ -43,7 +191,7 @@
 		/**
 		 * Convert Google Drive share link to direct image URL
 		 */
-		convertDriveUrl: function(url) {
+		convertDriveUrl: function(url, width = CONFIG.IMAGE_DEFAULT_WIDTH) {
 			if (!url || url.trim() === '') return null;
 			
 			url = url.trim();
@@ -53,20 +201,10 @@
 				return url;
 			}
 			
-			// Extract file ID from various Google Drive URL formats
-			const patterns = [
-				/\/file\/d\/([a-zA-Z0-9_-]+)/,
-				/\/d\/([a-zA-Z0-9_-]+)\/view/,
-				/id=([a-zA-Z0-9_-]+)/,
-				/\/open\?id=([a-zA-Z0-9_-]+)/
-			];
-			
-			for (let pattern of patterns) {
-				const match = url.match(pattern);
-				if (match && match[1]) {
-					// Use thumbnail format for better loading
-					return `https://drive.google.com/thumbnail?id=${match[1]}&sz=w800`;
-				}
+			const fileId = this.getDriveFileId(url);
+			if (fileId) {
+				// Use thumbnail format for better loading
+				return `https://drive.google.com/thumbnail?id=${fileId}&sz=w${width}`;
 			}
 			
 			// If it's a regular image URL (not Google Drive), return as is
@@ -80,13 +218,22 @@
 		/**
 		 * Extract the correct image URL based on Final_Image column
 		 */
-		getPostImage: function(post) {
+		getPostImage: function(post, width) {
+			const source = this.getPostImageSource(post);
+			
+			// Return fallback image with correct path
+			return source ? this.convertDriveUrl(source, width) : getImagePath('images/default-blog.jpg');
+		},
+
+		/**
+		 * Sheet URL of a post's featured image (before Drive conversion), or null
+		 */
+		getPostImageSource: function(post) {
 			const finalImage = post.Final_Image ? post.Final_Image.trim() : '';
 			
 			// Check if Final_Image contains a direct URL
-			if (finalImage && finalImage.startsWith('http')) {
-				const convertedUrl = this.convertDriveUrl(finalImage);
-				if (convertedUrl) return convertedUrl;
+			if (finalImage && finalImage.startsWith('http') && this.convertDriveUrl(finalImage)) {
+				return finalImage;
 			}
 			
 			// Extract image number from Final_Image (e.g., "image1", "image2", etc.)
@@ -95,9 +242,8 @@
 				if (imageMatch) {
 					const imageNum = imageMatch[1];
 					const imageUrl = post[`image${imageNum}`];
-					if (imageUrl && imageUrl.trim()) {
-						const convertedUrl = this.convertDriveUrl(imageUrl);
-						if (convertedUrl) return convertedUrl;
+					if (imageUrl && imageUrl.trim() && this.convertDriveUrl(imageUrl)) {
+						return imageUrl.trim();
 					}
 				}
 			}
@@ -105,35 +251,105 @@
 			// Fallback to first available image
 			for (let i = 1; i <= 4; i++) {
 				const imgUrl = post[`image${i}`];
-				if (imgUrl && imgUrl.trim()) {
-					const convertedUrl = this.convertDriveUrl(imgUrl);
-					if (convertedUrl) return convertedUrl;
+				if (imgUrl && imgUrl.trim() && this.convertDriveUrl(imgUrl)) {
+					return imgUrl.trim();
 				}
 			}
 			
-			// Return fallback image with correct path
-			return getImagePath('images/default-blog.jpg');
+			return null;
+		},
+
+		/**
+		 * Google Drive file ID from the various share/open/view URL formats, or null
+		 */
+		getDriveFileId: function(url) {
+			const patterns = [
+				/\/file\/d\/([a-zA-Z0-9_-]+)/,
+				/\/d\/([a-zA-Z0-9_-]+)\/view/,
+				/id=([a-zA-Z0-9_-]+)/,
+				/\/open\?id=([a-zA-Z0-9_-]+)/
+			];
+			
+			for (let pattern of patterns) {
+				const match = String(url || '').match(pattern);
+				if (match && match[1]) return match[1];
+			}
+			return null;
+		},
+
+		/**
+		 * Responsive image for a post: { src, srcset, placeholder, width, height }.
+		 * Drive images get a srcset of thumbnail widths and a tiny placeholder;
+		 * other URLs (and the default image) are used as-is.
+		 */
+		getResponsiveImage: function(post) {
+			return this.toResponsiveImage(this.getPostImageSource(post));
+		},
+
+		/**
+		 * Responsive image for a sheet image URL (null gives the default image)
+		 */
+		toResponsiveImage: function(source) {
+			const [ratioWidth, ratioHeight] = CONFIG.IMAGE_ASPECT_RATIO;
+			const image = {
+				src: (source && this.convertDriveUrl(source)) || getImagePath('images/default-blog.jpg'),
+				srcset: '',
+				placeholder: '',
+				width: CONFIG.IMAGE_DEFAULT_WIDTH,
+				height: Math.round(CONFIG.IMAGE_DEFAULT_WIDTH * ratioHeight / ratioWidth)
+			};
+			
+			if (source && !source.includes('drive.google.com/uc?') && this.getDriveFileId(source)) {
+				image.srcset = CONFIG.IMAGE_WIDTHS.map(width => `${this.convertDriveUrl(source, width)} ${width}w`).join(', ');
+				image.placeholder = this.convertDriveUrl(source, CONFIG.IMAGE_PLACEHOLDER_WIDTH);
+			}
+			return image;
+		},
+
+		/**
+		 * All of a post's images (image1-image4, featured first) as responsive images with captions
+		 */
+		getPostImages: function(post) {
+			const featured = this.getPostImageSource(post);
+			const entries = [];
+			
+			for (let i = 1; i <= 4; i++) {
+				const url = post[`image${i}`] ? String(post[`image${i}`]).trim() : '';
+				if (!url || !this.convertDriveUrl(url) || entries.some(entry => entry.url === url)) continue;
+				entries.push({ url: url, caption: String(post[`image${i}${CONFIG.IMAGE_CAPTION_SUFFIX}`] || '').trim() });
+			}
+			
+			// Final_Image may point outside image1-image4
+			if (featured && !entries.some(entry => entry.url === featured)) {
+				entries.push({ url: featured, caption: '' });
+			}
+			entries.sort((a, b) => (b.url === featured) - (a.url === featured));
+			
+			return entries.map(entry => Object.assign(this.toResponsiveImage(entry.url), { caption: entry.caption }));
 		},
 
 		/**
-		 * Extract first paragraph from idea as excerpt
+		 * Extract the first real paragraph of the body as excerpt (Markdown stripped)
 		 */
-		getExcerpt: function(idea) {
+		getExcerpt: function(idea, title) {
 			if (!idea) return '';
 			
-			// Split by double newlines to get paragraphs
-			const paragraphs = idea.split(/\n\n+/);
+			// Top-level paragraphs of the rendered body: headings, lists, quotes and code never make an excerpt
+			const paragraphs = root.BlogMarkdown
+				? root.BlogMarkdown.toParagraphs(idea)
+				: idea.split(/\n\n+/).map(text => text.trim());
 			
-			// Skip the first paragraph if it's just the title
-			const contentStart = paragraphs.length > 1 ? 1 : 0;
-			const excerpt = paragraphs[contentStart] || paragraphs[0] || '';
+			// Drop the title where it is repeated as the body's first line (nameless posts)
+			const excerpt = paragraphs
+				.map(text => (title && text.startsWith(title + '\n') ? text.slice(title.length) : text).replace(/\s+/g, ' ').trim())
+				.find(text => text && text !== title) || '';
 			
 			// Limit to 200 characters
 			if (excerpt.length > 200) {
 				return excerpt.substring(0, 200).trim() + '...';
 			}
 			
-			return excerpt.trim();
+			return excerpt;
 		},
 
 		/**
@@ -156,9 +372,26 @@
 		},
 
 		/**
-		 * Create slug from title for URL
+		 * Create slug from title for URL: Devanagari is transliterated, Latin accents are dropped
+		 * and letters of other scripts are kept (getPostPath percent-encodes them)
 		 */
 		createSlug: function(title) {
+			return this.transliterate(String(title).normalize('NFC'))
+				.normalize('NFKD')
+				.replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+				.normalize('NFC')
+				.toLowerCase()
+				.replace(/[^\p{L}\p{M}\p{N}\s-]/gu, '')
+				.trim()
+				.replace(/\s+/g, '-')
+				.replace(/-+/g, '-')
+				.substring(0, 100);
+		},
+
+		/**
+		 * Slug as built before Unicode support (ASCII only), still honoured for old shared links
+		 */
+		createLegacySlug: function(title) {
 			return title
 				.toLowerCase()
 				.replace(/[^a-z0-9\s-]/g, '')
@@ -168,242 +401,2225 @@
 		},
 
 		/**
-		 * Format date
+		 * Title-only slugs a post was linked by before slugs carried its ID, plus those listed in old_slugs
 		 */
-		formatDate: function(date) {
-			const options = { year: 'numeric', month: 'long', day: 'numeric' };
-			return new Date(date).toLocaleDateString('en-US', options);
+		getLegacySlugs: function(post) {
+			const title = this.getTitle(post);
+			const slugs = [this.createSlug(title), this.createLegacySlug(title)];
+			if (post.old_slugs) {
+				String(post.old_slugs).split(',').forEach(oldSlug => slugs.push(oldSlug.trim()));
+			}
+			return slugs.filter((slug, index) => slug.replace(/-/g, '') && slugs.indexOf(slug) === index);
 		},
 
 		/**
-		 * Store post data in localStorage for detail page
+		 * Romanise Devanagari text; other characters pass through unchanged
 		 */
-		storePostData: function(post, slug) {
-			try {
-				const postData = {
-					title: this.getTitle(post),
-					content: post.idea,
-					image: this.getPostImage(post),
-					status: post.status,
-					slug: slug,
-					timestamp: Date.now()
-				};
-				localStorage.setItem(`blog_post_${slug}`, JSON.stringify(postData));
-			} catch (e) {
-				console.error('Error storing post data:', e);
+		transliterate: function(text) {
+			const chars = Array.from(text);
+			let result = '';
+			let inherentVowel = false; // Consonant still carrying its implicit "a"
+			let vowelSeen = false; // The current word already has a vowel sound
+			let schwaDeletable = false; // The pending "a" follows a vowel, so Hindi may drop it
+			
+			// Whether the consonant at index j is followed by a vowel sign (after an optional nukta)
+			const hasMatra = j => {
+				if (chars[j + 1] === DEVANAGARI.nuktaSign) j++;
+				return !!DEVANAGARI.matras[chars[j + 1]];
+			};
+			
+			for (let i = 0; i < chars.length; i++) {
+				const char = chars[i];
+				if (DEVANAGARI.consonants[char]) {
+					// Schwa deletion: V C(a) C+matra drops the "a" (कमला -> kamla, ट्रांसफॉर्मर -> transformar)
+					if (inherentVowel && !(schwaDeletable && hasMatra(i))) {
+						result += 'a';
+						vowelSeen = true;
+					}
+					if (chars[i + 1] === DEVANAGARI.nuktaSign) {
+						result += DEVANAGARI.nukta[char] || DEVANAGARI.consonants[char];
+						i++;
+					} else if (chars[i + 1] === DEVANAGARI.loanwordMatra && DEVANAGARI.nukta[char]) {
+						result += DEVANAGARI.nukta[char];
+					} else {
+						result += DEVANAGARI.consonants[char];
+					}
+					schwaDeletable = vowelSeen;
+					inherentVowel = true;
+				} else if (DEVANAGARI.matras[char]) {
+					result += DEVANAGARI.matras[char];
+					inherentVowel = false;
+					vowelSeen = true;
+				} else if (char === DEVANAGARI.virama) {
+					inherentVowel = false;
+				} else if (DEVANAGARI.nasals.includes(char) || char === DEVANAGARI.visarga) {
+					result += (inherentVowel ? 'a' : '') + (char === DEVANAGARI.visarga ? 'h' : 'n');
+					inherentVowel = false;
+				} else if (DEVANAGARI.vowels[char]) {
+					result += (inherentVowel ? 'a' : '') + DEVANAGARI.vowels[char];
+					inherentVowel = false;
+					vowelSeen = true;
+				} else if (char >= '०' && char <= '९') {
+					result += (inherentVowel ? 'a' : '') + (char.charCodeAt(0) - 0x0966);
+					inherentVowel = false;
+				} else {
+					// Word end: Hindi drops the final inherent vowel (कमल -> kamal)
+					inherentVowel = false;
+					vowelSeen = false;
+					result += char === DEVANAGARI.nuktaSign ? '' : char;
+				}
 			}
-		}
-	};
+			return result;
+		},
+
+		/**
+		 * Language of a post (lang field, else guessed from the script, else the site default)
+		 */
+		getLang: function(post) {
+			const lang = post[CONFIG.LANG_FIELD] ? String(post[CONFIG.LANG_FIELD]).trim() : '';
+			if (lang) return lang.replace(/_/g, '-');
+			if (/\p{Script=Devanagari}/u.test(`${this.getTitle(post)} ${post.idea || ''}`)) return 'hi';
+			return CONFIG.DEFAULT_LANG;
+		},
 
-	// API Functions
-	const api = {
 		/**
-		 * Fetch posts from Cloudflare Workers API
+		 * Language name in that language (e.g. हिन्दी), falling back to the code
 		 */
-		fetchPosts: async function() {
+		getLanguageName: function(lang) {
 			try {
-				const response = await fetch(CONFIG.API_URL);
-				
-				if (!response.ok) {
-					throw new Error(`HTTP error! status: ${response.status}`);
-				}
-				
-				const data = await response.json();
-				
-				if (!data.success || !Array.isArray(data.posts)) {
-					throw new Error('Invalid API response format');
-				}
-				
-				return data.posts;
-			} catch (error) {
-				console.error('Error fetching posts:', error);
-				throw error;
+				return new Intl.DisplayNames([lang], { type: 'language' }).of(lang) || lang;
+			} catch (e) {
+				return lang;
 			}
 		},
 
 		/**
-		 * Filter posts by valid status
+		 * ID shared by a post and its translations (the original post's ID)
 		 */
-		filterPosts: function(posts) {
-			return posts.filter(post => {
-				// Filter out empty posts
-				if (!post.idea || post.idea.trim() === '') {
-					return false;
-				}
-				
-				// Check if status is valid
-				const status = (post.status || '').toLowerCase().trim();
-				return CONFIG.VALID_STATUSES.includes(status);
-			});
-		}
-	};
+		getTranslationKey: function(post) {
+			const original = post[CONFIG.TRANSLATION_FIELD];
+			if (original !== undefined && original !== null && String(original).trim()) {
+				return String(original).trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+			}
+			return this.getPostId(post);
+		},
 
-	// UI Rendering Functions
-	const ui = {
 		/**
-		 * Create HTML for a single blog post card
+		 * Deterministic 32-bit FNV-1a hash, base36 encoded
 		 */
-		createPostCard: function(post, index) {
-			const title = utils.getTitle(post);
-			const excerpt = utils.getExcerpt(post.idea);
-			const image = utils.getPostImage(post);
-			const status = post.status.toLowerCase();
-			const slug = utils.createSlug(title);
-			
-			// Store post data for detail page
-			utils.storePostData(post, slug);
-			
-			const statusClass = status === 'posted' ? 'status-posted' : 'status-review';
-			const statusLabel = status === 'posted' ? 'Published' : 'New';
-			
-			const fallbackImage = getImagePath('images/default-blog.jpg');
-			
-			return `
-				<article class="blog-post-card">
-					<a href="post.html?slug=${slug}" class="blog-post-image-wrapper">
-						<span class="blog-status ${statusClass}">${statusLabel}</span>
-						<img src="${image}" alt="${title}" class="blog-post-image" 
-							 loading="lazy"
-							 onerror="this.onerror=null; this.src='${fallbackImage}';" />
-					</a>
-					<div class="blog-post-content">
-						<h3 class="blog-post-title">
-							<a href="post.html?slug=${slug}">${title}</a>
-						</h3>
-						<p class="blog-post-excerpt">${excerpt}</p>
-						<ul class="actions">
-							<li><a href="post.html?slug=${slug}" class="button small">Read More</a></li>
-						</ul>
-					</div>
-				</article>
-			`;
+		hashString: function(str) {
+			let hash = 0x811c9dc5;
+			for (let i = 0; i < str.length; i++) {
+				hash ^= str.charCodeAt(i);
+				hash = Math.imul(hash, 0x01000193);
+			}
+			return (hash >>> 0).toString(36);
 		},
 
 		/**
-		 * Render posts to the blog grid with pagination
+		 * Get stable post ID from the backend row ID, or hash a stable column when there is none;
+		 * throws when the post has neither
 		 */
-		renderPosts: function(posts, page = 1) {
-			const container = document.getElementById('blog-posts-grid');
-			const loadingIndicator = document.getElementById('loading-indicator');
-			const noPostsMessage = document.getElementById('no-posts-message');
-			const paginationSection = document.getElementById('pagination-section');
-			
-			if (!container) return;
-			
-			// Hide loading indicator
-			if (loadingIndicator) {
-				loadingIndicator.style.display = 'none';
+		getPostId: function(post) {
+			for (let field of CONFIG.ID_FIELDS) {
+				const value = post[field];
+				if (value !== undefined && value !== null && String(value).trim() !== '') {
+					const id = String(value).trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+					if (id) return id;
+				}
 			}
 			
-			if (posts.length === 0) {
-				if (noPostsMessage) {
-					noPostsMessage.style.display = 'block';
+			for (let field of CONFIG.HASH_FIELDS) {
+				if (post[field] && String(post[field]).trim()) {
+					return 'h' + this.hashString(String(post[field]).trim());
 				}
-				if (paginationSection) {
-					paginationSection.style.display = 'none';
-				}
-				return;
 			}
 			
-			// Store all posts and calculate pagination
-			allValidPosts = posts;
-			totalPages = Math.ceil(posts.length / CONFIG.POSTS_PER_PAGE);
-			currentPage = Math.min(page, totalPages);
-			
-			// Get posts for current page
-			const startIndex = (currentPage - 1) * CONFIG.POSTS_PER_PAGE;
-			const endIndex = startIndex + CONFIG.POSTS_PER_PAGE;
-			const postsToDisplay = posts.slice(startIndex, endIndex);
-			
-			// Render posts
-			const postsHTML = postsToDisplay.map((post, index) => this.createPostCard(post, startIndex + index)).join('');
-			container.innerHTML = postsHTML;
-			container.style.display = 'flex';
-			
-			// Render pagination
-			this.renderPagination();
-			
-			// Scroll to top of blog section
-			if (page > 1) {
-				const blogSection = document.getElementById('blog-posts-section');
-				if (blogSection) {
-					blogSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
-				}
+			// Hashing the title or body would change the post's URL on every edit
+			throw new Error(`Post "${this.getTitle(post)}" has no stable ID: add one of the ${CONFIG.ID_FIELDS.concat(CONFIG.HASH_FIELDS).join(', ')} columns`);
+		},
+
+		/**
+		 * Whether a post has a row ID or stable column to derive its ID from
+		 */
+		hasPostId: function(post) {
+			try {
+				this.getPostId(post);
+				return true;
+			} catch (e) {
+				return false;
 			}
 		},
 
 		/**
-		 * Render pagination controls
+		 * Create collision-proof slug: readable title part plus stable ID
 		 */
-		renderPagination: function() {
-			const paginationSection = document.getElementById('pagination-section');
-			if (!paginationSection || totalPages <= 1) {
-				if (paginationSection) paginationSection.style.display = 'none';
-				return;
+		getPostSlug: function(post) {
+			const titleSlug = this.createSlug(this.getTitle(post)).replace(/^-+|-+$/g, '');
+			const id = this.getPostId(post);
+			return titleSlug ? `${titleSlug}${CONFIG.SLUG_ID_SEPARATOR}${id}` : id;
+		},
+
+		/**
+		 * Whether a slug gets a pre-rendered blog/<slug>.html page (reserved names never do)
+		 */
+		hasStaticPage: function(slug) {
+			return CONFIG.STATIC_POST_PAGES && !CONFIG.RESERVED_PAGES.includes(slug) && !/^page-\d+$/.test(slug);
+		},
+
+		/**
+		 * Get a post's detail page path, relative to the blog directory
+		 */
+		getPostPath: function(slug) {
+			if (this.hasStaticPage(slug)) {
+				return `${encodeURIComponent(slug)}.html`;
 			}
-			
-			paginationSection.style.display = 'block';
-			
-			let paginationHTML = '<ul class="pagination">';
-			
-			// Previous button
-			if (currentPage > 1) {
-				paginationHTML += `<li><a href="#" class="button" data-page="${currentPage - 1}">Prev</a></li>`;
-			} else {
-				paginationHTML += '<li><span class="button disabled">Prev</span></li>';
+			return `post.html?slug=${encodeURIComponent(slug)}`;
+		},
+
+		/**
+		 * Extract the post ID from a slug, or null for legacy title-only slugs
+		 */
+		parseSlugId: function(slug) {
+			if (!slug) return null;
+			const separatorIndex = slug.lastIndexOf(CONFIG.SLUG_ID_SEPARATOR);
+			if (separatorIndex !== -1) {
+				return slug.substring(separatorIndex + CONFIG.SLUG_ID_SEPARATOR.length) || null;
 			}
+			return null;
+		},
+
+		/**
+		 * Get de-duplicated tag labels from the Sheet's tag column
+		 */
+		getTags: function(post) {
+			const seen = new Set();
+			const tags = [];
 			
-			// Page numbers
-			const maxPageButtons = 5;
-			let startPage = Math.max(1, currentPage - Math.floor(maxPageButtons / 2));
-			let endPage = Math.min(totalPages, startPage + maxPageButtons - 1);
-			
-			if (endPage - startPage < maxPageButtons - 1) {
-				startPage = Math.max(1, endPage - maxPageButtons + 1);
-			}
+			CONFIG.TAG_FIELDS.forEach(field => {
+				if (!post[field]) return;
+				String(post[field]).split(/[,;|]/).forEach(label => {
+					label = label.trim();
+					const key = this.tagKey(label);
+					if (key && !seen.has(key)) {
+						seen.add(key);
+						tags.push(label);
+					}
+				});
+			});
 			
-			if (startPage > 1) {
-				paginationHTML += '<li><a href="#" class="page" data-page="1">1</a></li>';
-				if (startPage > 2) {
-					paginationHTML += '<li><span>...</span></li>';
-				}
-			}
+			return tags;
+		},
+
+		/**
+		 * Get category label, or empty string when uncategorised
+		 */
+		getCategory: function(post) {
+			const category = post[CONFIG.CATEGORY_FIELD];
+			return category ? String(category).trim() : '';
+		},
+
+		/**
+		 * Author profile { key, name, avatar, bio, links } from the registry, matched by key or name;
+		 * names missing from the registry get a bare profile
+		 */
+		getAuthor: function(post) {
+			const value = String(post[CONFIG.AUTHOR_FIELD] || '').trim() || CONFIG.DEFAULT_AUTHOR;
+			const key = this.tagKey(value);
+			const registered = this.isRegisteredAuthor(key)
+				? key
+				: Object.keys(CONFIG.AUTHORS).find(other => this.tagKey(CONFIG.AUTHORS[other].name) === key);
 			
-			for (let i = startPage; i <= endPage; i++) {
-				if (i === currentPage) {
-					paginationHTML += `<li><a href="#" class="page active" data-page="${i}">${i}</a></li>`;
-				} else {
-					paginationHTML += `<li><a href="#" class="page" data-page="${i}">${i}</a></li>`;
-				}
+			if (registered) {
+				return Object.assign({ key: registered, avatar: '', bio: '', links: {} }, CONFIG.AUTHORS[registered]);
 			}
-			
-			if (endPage < totalPages) {
-				if (endPage < totalPages - 1) {
-					paginationHTML += '<li><span>...</span></li>';
+			return { key: key, name: value, avatar: '', bio: '', links: {} };
+		},
+
+		/**
+		 * Whether an author key is in the registry (own entries only, even if a page replaced CONFIG.AUTHORS)
+		 */
+		isRegisteredAuthor: function(key) {
+			return Object.prototype.hasOwnProperty.call(CONFIG.AUTHORS, key);
+		},
+
+		/**
+		 * Author archive page, relative to blog/ like getPostPath
+		 */
+		getAuthorPath: function(key) {
+			return `index.html?author=${encodeURIComponent(key)}`;
+		},
+
+		/**
+		 * Word count and estimated reading time (whole minutes, at least 1) of a post body
+		 */
+		getReadingStats: function(idea) {
+			const plain = root.BlogMarkdown ? root.BlogMarkdown.toPlainText(idea) : String(idea || '');
+			const words = (plain.match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu) || []).length;
+			return { words: words, minutes: Math.max(1, Math.round(words / CONFIG.WORDS_PER_MINUTE)) };
+		},
+
+		/**
+		 * "1,234 words · 6 min read"
+		 */
+		formatReadingStats: function(stats, includeWords = true) {
+			const time = `${stats.minutes} min read`;
+			return includeWords ? `${stats.words.toLocaleString('en-US')} words · ${time}` : time;
+		},
+
+		/**
+		 * Series a post belongs to: { name, key, order } or null
+		 */
+		getSeries: function(post) {
+			const name = String(post[CONFIG.SERIES_FIELD] || '').trim();
+			if (!name) return null;
+			
+			const order = parseFloat(post[CONFIG.SERIES_ORDER_FIELD]);
+			return { name: name, key: this.tagKey(name), order: isNaN(order) ? null : order };
+		},
+
+		/**
+		 * Normalise a tag/category label into its URL key (?tag=machine-learning)
+		 */
+		tagKey: function(label) {
+			return String(label || '').trim().toLowerCase().replace(/\s+/g, '-');
+		},
+
+		/**
+		 * Parse a date value; a date-only "2025-04-01" is that calendar day in local time, not UTC midnight
+		 */
+		parseDate: function(value) {
+			if (value instanceof Date || typeof value === 'number') return new Date(value);
+			const text = String(value).trim();
+			const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+			if (dateOnly) return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+			return new Date(text);
+		},
+
+		/**
+		 * Format date
+		 */
+		formatDate: function(date, lang = CONFIG.DEFAULT_LANG) {
+			const options = { year: 'numeric', month: 'long', day: 'numeric' };
+			const parsed = this.parseDate(date);
+			try {
+				return parsed.toLocaleDateString(lang, options);
+			} catch (e) {
+				// Invalid language tag in the Sheet
+				return parsed.toLocaleDateString(CONFIG.DEFAULT_LANG, options);
+			}
+		},
+
+		/**
+		 * "March 2025" ("March" without the year, "2025" without a month) for archive headings and links
+		 */
+		formatArchivePeriod: function(year, month, includeYear = true) {
+			if (!month) return String(year);
+			const options = includeYear ? { year: 'numeric', month: 'long', timeZone: 'UTC' } : { month: 'long', timeZone: 'UTC' };
+			return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(CONFIG.DEFAULT_LANG, options);
+		},
+
+		/**
+		 * "Published on … · Last updated …" in the post's language ('' when it has neither date)
+		 */
+		formatDateLine: function(published, updated, lang = CONFIG.DEFAULT_LANG) {
+			const labels = CONFIG.DATE_LABELS[String(lang).split('-')[0].toLowerCase()] || CONFIG.DATE_LABELS[CONFIG.DEFAULT_LANG];
+			const parts = [];
+			if (published) parts.push(labels.published.replace('{date}', this.formatDate(published, lang)));
+			if (updated) parts.push(labels.updated.replace('{date}', this.formatDate(updated, lang)));
+			return parts.join(' · ');
+		},
+
+		/**
+		 * Parse the first valid date among the given fields, or null
+		 */
+		parseDateField: function(post, fields) {
+			for (let field of fields) {
+				const value = post[field];
+				if (value === undefined || value === null || String(value).trim() === '') continue;
+				
+				const date = this.parseDate(value);
+				if (!isNaN(date.getTime())) return date;
+			}
+			return null;
+		},
+
+		/**
+		 * Get publication date from the API, or null when the post has none
+		 */
+		getPublishedDate: function(post) {
+			return this.parseDateField(post, CONFIG.PUBLISHED_FIELDS);
+		},
+
+		/**
+		 * Scheduled go-live time, or null when the post has none
+		 */
+		getScheduledDate: function(post) {
+			// Stored post data (toPostData) carries it as scheduledAt
+			if (post.scheduledAt) return new Date(post.scheduledAt);
+			return this.parseDateField(post, CONFIG.SCHEDULE_FIELDS);
+		},
+
+		/**
+		 * Whether a post is scheduled for later than now
+		 */
+		isScheduled: function(post, now = Date.now()) {
+			const scheduled = this.getScheduledDate(post);
+			return !!scheduled && scheduled.getTime() > now;
+		},
+
+		/**
+		 * Get last-updated date, or null when never updated after publishing
+		 */
+		getUpdatedDate: function(post) {
+			const updated = this.parseDateField(post, CONFIG.UPDATED_FIELDS);
+			const published = this.getPublishedDate(post);
+			if (!updated || (published && updated <= published)) return null;
+			return updated;
+		},
+
+		/**
+		 * Sort posts by publication date ('newest' or 'oldest'); undated posts go last
+		 */
+		sortPosts: function(posts, order = CONFIG.DEFAULT_SORT) {
+			const direction = order === 'oldest' ? 1 : -1;
+			return posts
+				.map((post, index) => ({ post: post, index: index, date: this.getPublishedDate(post) }))
+				.sort((a, b) => {
+					if (!a.date || !b.date) {
+						if (a.date) return -1;
+						if (b.date) return 1;
+						return a.index - b.index; // Keep sheet order for undated posts
+					}
+					return direction * (a.date - b.date) || a.index - b.index;
+				})
+				.map(entry => entry.post);
+		},
+
+		/**
+		 * Build the data object the detail page renders from
+		 */
+		toPostData: function(post, slug) {
+			const published = this.getPublishedDate(post);
+			const updated = this.getUpdatedDate(post);
+			const scheduled = this.getScheduledDate(post);
+			const reading = this.getReadingStats(post.idea);
+			return {
+				title: this.getTitle(post),
+				content: post.idea,
+				image: this.getPostImage(post),
+				responsiveImage: this.getResponsiveImage(post),
+				images: this.getPostImages(post),
+				status: post.status,
+				tags: this.getTags(post),
+				category: this.getCategory(post),
+				author: this.getAuthor(post),
+				publishedAt: published ? published.toISOString() : null,
+				updatedAt: updated ? updated.toISOString() : null,
+				scheduledAt: scheduled ? scheduled.toISOString() : null,
+				wordCount: reading.words,
+				readingMinutes: reading.minutes,
+				lang: this.getLang(post),
+				translationKey: this.getTranslationKey(post),
+				id: this.getPostId(post),
+				slug: slug,
+				timestamp: Date.now()
+			};
+		},
+
+		/**
+		 * Status badge for a post (Sheet row or stored post data): { className, label }
+		 */
+		getStatusBadge: function(post) {
+			const status = String(post.status || '').toLowerCase().trim();
+			if (this.isScheduled(post)) return { className: 'status-draft', label: 'Scheduled' };
+			if (status === 'posted') return { className: 'status-posted', label: 'Published' };
+			if (CONFIG.VALID_STATUSES.includes(status)) return { className: 'status-review', label: 'New' };
+			return { className: 'status-draft', label: status ? status.charAt(0).toUpperCase() + status.slice(1) : 'Draft' };
+		},
+
+		/**
+		 * Pinned posts in pin order: CONFIG.PINNED_POSTS first, then posts marked in the Sheet
+		 */
+		getPinnedPosts: function(posts) {
+			const byId = new Map(posts.map(post => [this.getPostId(post), post]));
+			const pinned = CONFIG.PINNED_POSTS.map(id => byId.get(String(id).toLowerCase())).filter(Boolean);
+			posts.forEach(post => {
+				const marked = CONFIG.PINNED_FIELDS.some(field => /^(yes|true|1|x)$/i.test(String(post[field] || '').trim()));
+				if (marked && !pinned.includes(post)) pinned.push(post);
+			});
+			return pinned;
+		},
+
+		/**
+		 * Whether a post is public (drafts and scheduled posts shown in preview mode are not)
+		 */
+		isPublished: function(post) {
+			return CONFIG.VALID_STATUSES.includes(String(post.status || '').toLowerCase().trim()) && !this.isScheduled(post);
+		},
+
+		/**
+		 * Store post data in localStorage for detail page
+		 */
+		storePostData: function(post, slug) {
+			if (typeof localStorage === 'undefined') return;
+			// Previewed drafts are never persisted where a later anonymous visit could read them
+			if (!this.isPublished(post)) return;
+			
+			try {
+				const postData = Object.assign(this.toPostData(post, slug), { savedAt: Date.now() });
+				localStorage.setItem(`blog_post_${slug}`, JSON.stringify(postData));
+			} catch (e) {
+				console.error('Error storing post data:', e);
+			}
+		},
+
+		/**
+		 * Stored post data for the detail page, or null once it is older than the posts cache TTL
+		 * (stale entries are dropped so the page resolves the post through the API instead)
+		 */
+		readPostData: function(slug) {
+			if (typeof localStorage === 'undefined') return null;
+			const key = `blog_post_${slug}`;
+			
+			try {
+				const postData = JSON.parse(localStorage.getItem(key) || 'null');
+				if (postData && postCache.isFresh(postData)) {
+					return postData;
+				}
+				localStorage.removeItem(key);
+			} catch (e) {
+				console.warn('Error reading stored post data:', e);
+			}
+			return null;
+		},
+
+		/**
+		 * Drop stored post data whose slug is no longer among the published posts
+		 */
+		prunePostData: function(posts) {
+			if (typeof localStorage === 'undefined') return;
+			const keys = new Set(posts.filter(post => this.isPublished(post)).map(post => `blog_post_${this.getPostSlug(post)}`));
+			
+			try {
+				for (let i = localStorage.length - 1; i >= 0; i--) {
+					const key = localStorage.key(i);
+					if (key && key.startsWith('blog_post_') && !keys.has(key)) {
+						localStorage.removeItem(key);
+					}
+				}
+			} catch (e) {
+				console.warn('Error pruning stored post data:', e);
+			}
+		}
+	};
+
+	// Redirect table: legacy title-based slugs -> post IDs, rebuilt from each posts payload so it
+	// resolves old links on a first visit too (scripts/prerender.js writes the same table as pages)
+	const slugRedirects = {
+		LEGACY_STORAGE_KEY: 'blog_slug_redirects', // Where earlier versions kept redirects learned per browser
+		table: new Map(),
+
+		/**
+		 * Map every legacy slug of the posts to a post ID; the newest post wins a slug titles share
+		 */
+		build: function(posts) {
+			const table = new Map();
+			utils.sortPosts(posts).forEach(post => {
+				utils.getLegacySlugs(post).forEach(legacySlug => {
+					if (!table.has(legacySlug)) {
+						table.set(legacySlug, utils.getPostId(post));
+					}
+				});
+			});
+			return table;
+		},
+
+		/**
+		 * Replace the table with the one for the current posts payload
+		 */
+		learn: function(posts) {
+			this.table = this.build(posts);
+			try {
+				localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+			} catch (e) {
+				// Storage unavailable; nothing was learned there either
+			}
+		},
+
+		/**
+		 * Resolve any slug (new or legacy) to a post ID
+		 */
+		resolve: function(slug) {
+			const id = utils.parseSlugId(slug);
+			if (id) {
+				return id;
+			}
+			if (Object.prototype.hasOwnProperty.call(CONFIG.SLUG_REDIRECTS, slug)) {
+				return CONFIG.SLUG_REDIRECTS[slug];
+			}
+			return this.table.get(slug) || slug;
+		}
+	};
+
+	// Post index keyed by stable post ID (in-memory, persisted to IndexedDB)
+	const postIndex = {
+		entries: new Map(),
+		dbPromise: null,
+
+		/**
+		 * Open (or create) the IndexedDB store, resolving null when unavailable
+		 */
+		openDB: function() {
+			if (this.dbPromise) return this.dbPromise;
+
+			this.dbPromise = new Promise(resolve => {
+				if (!('indexedDB' in window)) {
+					resolve(null);
+					return;
+				}
+
+				try {
+					const request = indexedDB.open(CONFIG.INDEX_DB_NAME, CONFIG.INDEX_DB_VERSION);
+					request.onupgradeneeded = function() {
+						const db = request.result;
+						// Version 1 was keyed by title slug; rebuild keyed by post ID
+						if (db.objectStoreNames.contains(CONFIG.INDEX_STORE_NAME)) {
+							db.deleteObjectStore(CONFIG.INDEX_STORE_NAME);
+						}
+						db.createObjectStore(CONFIG.INDEX_STORE_NAME, { keyPath: 'id' });
+					};
+					request.onsuccess = function() {
+						resolve(request.result);
+					};
+					request.onerror = function() {
+						console.warn('IndexedDB unavailable:', request.error);
+						resolve(null);
+					};
+				} catch (e) {
+					console.warn('IndexedDB unavailable:', e);
+					resolve(null);
+				}
+			});
+
+			return this.dbPromise;
+		},
+
+		/**
+		 * Index posts by ID and persist them for later visits (entries expire with the posts cache TTL)
+		 */
+		add: async function(posts) {
+			const savedAt = Date.now();
+			const records = posts.map(post => {
+				const record = Object.assign(utils.toPostData(post, utils.getPostSlug(post)), { savedAt: savedAt });
+				this.entries.set(record.id, record);
+				return record;
+			});
+			slugRedirects.learn(posts);
+
+			const db = await this.openDB();
+			if (!db) return;
+
+			try {
+				const tx = db.transaction(CONFIG.INDEX_STORE_NAME, 'readwrite');
+				const store = tx.objectStore(CONFIG.INDEX_STORE_NAME);
+				// Previewed drafts stay in memory only
+				records.filter(record => utils.isPublished(record)).forEach(record => store.put(record));
+			} catch (e) {
+				console.error('Error persisting post index:', e);
+			}
+		},
+
+		/**
+		 * Look up a post by (new or legacy) slug in memory, then in IndexedDB. Entries older than the
+		 * posts cache TTL are dropped, so the caller resolves the post from a revalidated payload instead
+		 */
+		get: async function(slug) {
+			const id = slugRedirects.resolve(slug);
+			const entry = this.entries.get(id);
+			if (entry && postCache.isFresh(entry)) {
+				return entry;
+			}
+			this.entries.delete(id);
+
+			const db = await this.openDB();
+			if (!db) return null;
+
+			return new Promise(resolve => {
+				try {
+					const tx = db.transaction(CONFIG.INDEX_STORE_NAME, 'readwrite');
+					const store = tx.objectStore(CONFIG.INDEX_STORE_NAME);
+					const request = store.get(id);
+					request.onsuccess = () => {
+						const record = request.result;
+						if (!record || !postCache.isFresh(record)) {
+							if (record) store.delete(id);
+							resolve(null);
+							return;
+						}
+						this.entries.set(id, record);
+						resolve(record);
+					};
+					request.onerror = () => resolve(null);
+				} catch (e) {
+					console.error('Error reading post index:', e);
+					resolve(null);
+				}
+			});
+		},
+
+		/**
+		 * Forget indexed posts that are no longer published (removed or unpublished since they were stored)
+		 */
+		prune: async function(posts) {
+			const ids = new Set(posts.filter(post => utils.isPublished(post)).map(post => utils.getPostId(post)));
+			this.entries.forEach((record, id) => {
+				if (!ids.has(id) && utils.isPublished(record)) this.entries.delete(id);
+			});
+
+			const db = await this.openDB();
+			if (!db) return;
+
+			try {
+				const store = db.transaction(CONFIG.INDEX_STORE_NAME, 'readwrite').objectStore(CONFIG.INDEX_STORE_NAME);
+				const request = store.getAllKeys();
+				request.onsuccess = () => request.result.filter(id => !ids.has(id)).forEach(id => store.delete(id));
+			} catch (e) {
+				console.error('Error pruning post index:', e);
+			}
+		}
+	};
+
+	// API Functions
+	/**
+	 * Data source adapters. Each adapter implements fetchPosts(options, validators) and resolves to
+	 * an array of posts in the Sheet row shape ({ idea, name, status, Final_Image, image1..4, tags, ... }),
+	 * or NOT_MODIFIED when validators.etag still matches, so everything downstream of
+	 * api.fetchPosts stays source-agnostic.
+	 */
+	const dataSources = {
+		// Returned instead of posts when a conditional request comes back 304
+		NOT_MODIFIED: Object.freeze({ notModified: true }),
+
+		/**
+		 * Fetch and parse JSON, failing on HTTP errors.
+		 * With validators, sends If-None-Match for a known ETag and records the response's ETag
+		 * (the endpoint must expose ETag via CORS; without it no conditional request is made).
+		 */
+		fetchJSON: async function(url, init = {}, validators) {
+			const headers = Object.assign({}, init.headers);
+			if (validators && validators.etag) {
+				headers['If-None-Match'] = validators.etag;
+			}
+			
+			// no-cache: let the browser's HTTP cache revalidate too instead of serving a stale copy
+			const response = await fetch(url, Object.assign({ cache: 'no-cache' }, init, { headers: headers }));
+			
+			if (response.status === 304) {
+				return dataSources.NOT_MODIFIED;
+			}
+			
+			if (!response.ok) {
+				throw new Error(`HTTP error! status: ${response.status}`);
+			}
+			
+			if (validators) {
+				validators.etag = (response.headers && response.headers.get('ETag')) || null;
+			}
+			
+			return response.json();
+		},
+
+		/**
+		 * Cloudflare Worker fronting Google Sheets: { success, posts }. The Worker only includes
+		 * draft/review rows when the request carries an author or admin token (preview mode)
+		 */
+		worker: {
+			fetchPosts: async function(options, validators) {
+				const data = await dataSources.fetchJSON(options.url, { headers: preview.authHeaders() }, validators);
+				if (data === dataSources.NOT_MODIFIED) return data;
+				
+				if (!data.success || !Array.isArray(data.posts)) {
+					throw new Error('Invalid API response format');
+				}
+				
+				return data.posts;
+			}
+		},
+
+		/**
+		 * Local folder: a JSON manifest listing post objects and/or Markdown files with front matter
+		 */
+		local: {
+			/**
+			 * Read a file relative to the site root (Node scripts replace this with a filesystem read)
+			 */
+			load: async function(path, type) {
+				const response = await fetch(getBasePath() + path);
+				
+				if (!response.ok) {
+					throw new Error(`Could not load ${path} (status: ${response.status})`);
+				}
+				
+				return type === 'json' ? response.json() : response.text();
+			},
+
+			fetchPosts: async function(options) {
+				const manifest = await this.load(options.manifest, 'json');
+				const entries = Array.isArray(manifest) ? manifest : manifest.posts;
+				
+				if (!Array.isArray(entries)) {
+					throw new Error(`Invalid post manifest: ${options.manifest}`);
+				}
+				
+				const folder = options.manifest.replace(/[^/]*$/, '');
+				return Promise.all(entries.map(async entry => {
+					const file = typeof entry === 'string' ? entry : entry.file;
+					if (!file) return entry;
+					
+					const post = this.parseMarkdown(await this.load(folder + file, 'text'));
+					// File name is a stable ID unless the front matter sets one
+					const fields = Object.assign({ id: file.replace(/^.*\//, '').replace(/\.[^.]+$/, '') }, post);
+					return typeof entry === 'string' ? fields : Object.assign(fields, entry, { file: undefined });
+				}));
+			},
+
+			/**
+			 * Split "---" front matter (key: value lines) from the Markdown body.
+			 * `title` maps to the Sheet's `name` column and the body becomes `idea`;
+			 * files without a status are treated as published.
+			 */
+			parseMarkdown: function(source) {
+				const match = String(source).match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+				const post = { status: 'posted' };
+				const body = match ? match[2] : String(source);
+				
+				if (match) {
+					match[1].split(/\r?\n/).forEach(line => {
+						const field = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+						if (!field) return;
+						
+						let value = field[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+						// Inline YAML lists ([a, b]) become the comma-separated form the Sheet uses
+						if (/^\[.*\]$/.test(value)) {
+							value = value.slice(1, -1).split(',').map(item => item.trim().replace(/^(["'])(.*)\1$/, '$2')).join(', ');
+						}
+						post[field[1] === 'title' ? 'name' : field[1]] = value;
+					});
+				}
+				
+				post.idea = body.trim();
+				return post;
+			}
+		},
+
+		/**
+		 * Generic REST endpoint: posts array at options.postsPath, fields renamed via options.fieldMap
+		 */
+		rest: {
+			fetchPosts: async function(options, validators) {
+				if (!options.url) {
+					throw new Error('REST data source has no url configured');
+				}
+				
+				const data = await dataSources.fetchJSON(options.url, { headers: options.headers || {} }, validators);
+				if (data === dataSources.NOT_MODIFIED) return data;
+				
+				const posts = (options.postsPath || '').split('.').filter(Boolean)
+					.reduce((value, key) => (value ? value[key] : undefined), data);
+				
+				if (!Array.isArray(posts)) {
+					throw new Error('Invalid API response format');
+				}
+				
+				const fieldMap = options.fieldMap || {};
+				return posts.map(item => {
+					const post = Object.assign({}, item);
+					Object.keys(fieldMap).forEach(field => {
+						if (item[fieldMap[field]] !== undefined) {
+							post[field] = item[fieldMap[field]];
+						}
+					});
+					return post;
+				});
+			}
+		},
+
+		/**
+		 * Adapter selected by CONFIG.DATA_SOURCE
+		 */
+		get: function(name = CONFIG.DATA_SOURCE) {
+			const adapter = this[name];
+			if (!adapter || typeof adapter.fetchPosts !== 'function') {
+				throw new Error(`Unknown blog data source: ${name}`);
+			}
+			return adapter;
+		}
+	};
+
+	// Draft preview: draft/review posts are shown once a signed preview token or the author's
+	// login has been verified by the API. Anonymous visitors never get past verify().
+	const preview = {
+		TOKEN_KEY: 'blog_preview_token',
+		OFF_KEY: 'blog_preview_off',
+		active: false,
+		pending: null,
+		token: null, // Sent to the Worker so it includes drafts
+
+		/**
+		 * Resolve whether this visitor may see drafts (verified once per page load)
+		 */
+		ready: function() {
+			if (!this.pending) {
+				this.pending = this.verify()
+					.catch(error => {
+						console.warn('Preview verification failed:', error);
+						return false;
+					})
+					.then(active => {
+						this.active = active === true;
+						if (this.active) {
+							console.log('👁️  Preview mode: showing drafts');
+							this.showBanner();
+						}
+						return this.active;
+					});
+			}
+			return this.pending;
+		},
+
+		verify: async function() {
+			if (typeof window === 'undefined' || typeof sessionStorage === 'undefined') return false;
+			
+			const token = this.takeToken();
+			if (token) return this.verifyToken(token);
+			if (sessionStorage.getItem(this.OFF_KEY)) return false;
+			return this.verifySession();
+		},
+
+		/**
+		 * Move a token from the URL into sessionStorage so it isn't shared, bookmarked or sent as a referrer
+		 */
+		takeToken: function() {
+			const url = new URL(window.location.href);
+			const token = url.searchParams.get(CONFIG.PREVIEW.param);
+			if (token) {
+				sessionStorage.setItem(this.TOKEN_KEY, token);
+				sessionStorage.removeItem(this.OFF_KEY);
+				url.searchParams.delete(CONFIG.PREVIEW.param);
+				history.replaceState(history.state, '', url.toString());
+			}
+			return sessionStorage.getItem(this.TOKEN_KEY);
+		},
+
+		/**
+		 * Signed preview tokens are checked by the API (the signing key never reaches the browser)
+		 */
+		verifyToken: async function(token) {
+			const response = await fetch(`${CONFIG.PREVIEW.apiUrl}${CONFIG.PREVIEW.verifyPath}`, {
+				headers: { 'Authorization': `Bearer ${token}` }
+			});
+			const data = response.ok ? await response.json() : null;
+			if (!data || data.valid !== true) {
+				sessionStorage.removeItem(this.TOKEN_KEY);
+				return false;
+			}
+			this.token = token;
+			return true;
+		},
+
+		/**
+		 * Signed-in author or admin, via VikasYadavApp where app.js is loaded
+		 */
+		verifySession: async function() {
+			const token = localStorage.getItem('auth_token');
+			if (!token) return false;
+			
+			let user = null;
+			const app = root.VikasYadavApp;
+			if (app && typeof app.checkAuthentication === 'function') {
+				user = (await app.checkAuthentication()) === true ? app.currentUser : null;
+			} else {
+				// Blog pages don't load app.js; make the same check it does
+				const response = await fetch(`${CONFIG.PREVIEW.apiUrl}/api/auth/me`, {
+					headers: { 'Authorization': `Bearer ${token}` }
+				});
+				user = response.ok ? (await response.json()).user : null;
+			}
+			
+			if (!this.canPreview(user)) return false;
+			this.token = token;
+			return true;
+		},
+
+		/**
+		 * Being signed in isn't enough: the user needs an author or admin role
+		 */
+		canPreview: function(user) {
+			if (!user) return false;
+			const roles = [].concat(user.roles || [], user.role || []);
+			return roles.some(role => CONFIG.PREVIEW.roles.includes(String(role).toLowerCase()));
+		},
+
+		/**
+		 * Authorization for the posts request while previewing (anonymous otherwise)
+		 */
+		authHeaders: function() {
+			return this.active && this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+		},
+
+		/**
+		 * Leave preview for the rest of the tab session
+		 */
+		exit: function() {
+			sessionStorage.removeItem(this.TOKEN_KEY);
+			sessionStorage.setItem(this.OFF_KEY, '1');
+			window.location.reload();
+		},
+
+		showBanner: function() {
+			if (document.getElementById('preview-banner')) return;
+			
+			const banner = document.createElement('div');
+			banner.id = 'preview-banner';
+			banner.className = 'preview-banner';
+			banner.setAttribute('role', 'status');
+			banner.innerHTML = `
+				<strong>Preview</strong> Drafts and posts in review are visible to you only.
+				<button type="button" class="preview-exit">Exit preview</button>
+			`;
+			banner.querySelector('.preview-exit').addEventListener('click', () => this.exit());
+			document.body.insertBefore(banner, document.body.firstChild);
+			
+			// Keep previewed pages out of search engines
+			const robots = document.createElement('meta');
+			robots.name = 'robots';
+			robots.content = 'noindex';
+			document.head.appendChild(robots);
+		}
+	};
+
+	// Last posts payload in localStorage, served instantly and revalidated once older than the TTL
+	const postCache = {
+		read: function() {
+			if (typeof localStorage === 'undefined') return null;
+			
+			try {
+				const entry = JSON.parse(localStorage.getItem(CONFIG.POSTS_CACHE_KEY) || 'null');
+				if (entry && entry.version === CONFIG.POSTS_CACHE_VERSION && entry.source === CONFIG.DATA_SOURCE && Array.isArray(entry.posts)) {
+					return entry;
+				}
+			} catch (e) {
+				console.warn('Error reading cached posts:', e);
+			}
+			return null;
+		},
+
+		write: function(posts, etag, signature) {
+			if (typeof localStorage === 'undefined') return;
+			
+			try {
+				localStorage.setItem(CONFIG.POSTS_CACHE_KEY, JSON.stringify({
+					version: CONFIG.POSTS_CACHE_VERSION,
+					source: CONFIG.DATA_SOURCE,
+					savedAt: Date.now(),
+					etag: etag || null,
+					signature: signature,
+					// Drafts never reach localStorage, even when a preview response included them
+					posts: posts.filter(post => CONFIG.VALID_STATUSES.includes(String(post.status || '').toLowerCase().trim()))
+				}));
+			} catch (e) {
+				console.warn('Error caching posts:', e);
+			}
+		},
+
+		/**
+		 * Restart the TTL of an entry the server confirmed unchanged
+		 */
+		touch: function(entry) {
+			this.write(entry.posts, entry.etag, entry.signature);
+		},
+
+		/**
+		 * Whether an entry (posts payload, stored post data or index record) is younger than the TTL
+		 */
+		isFresh: function(entry) {
+			return !!entry.savedAt && Date.now() - entry.savedAt < CONFIG.POSTS_CACHE_TTL;
+		}
+	};
+
+	const api = {
+		// In-flight revalidation, shared so concurrent callers make one request
+		pending: null,
+
+		/**
+		 * Fetch posts from the configured data source (always hits the network)
+		 */
+		fetchPosts: async function(validators) {
+			try {
+				return await dataSources.get().fetchPosts(CONFIG.DATA_SOURCES[CONFIG.DATA_SOURCE] || {}, validators);
+			} catch (error) {
+				console.error('Error fetching posts:', error);
+				throw error;
+			}
+		},
+
+		/**
+		 * Stale-while-revalidate: resolve with cached posts right away when there are any,
+		 * refreshing stale ones in the background and calling onUpdate(posts) if they changed
+		 */
+		getPosts: async function(onUpdate) {
+			// Previews always fetch with the author's token, so drafts come from the network only
+			if (preview.active) {
+				return (await this.revalidate()).posts;
+			}
+			
+			const cached = postCache.read();
+			
+			if (!cached) {
+				return (await this.revalidate()).posts;
+			}
+			
+			if (!postCache.isFresh(cached)) {
+				this.revalidate()
+					.then(result => {
+						if (result.changed && onUpdate) {
+							onUpdate(result.posts);
+						}
+					})
+					.catch(error => console.warn('⚠️  Background refresh failed, keeping cached posts:', error));
+			}
+			
+			return cached.posts;
+		},
+
+		/**
+		 * Conditionally refetch posts and update the cache: { posts, changed }
+		 */
+		revalidate: function() {
+			if (this.pending) return this.pending;
+			
+			if (preview.active) {
+				this.pending = this.fetchPosts()
+					.then(posts => ({ posts: posts, changed: true }))
+					.finally(() => {
+						this.pending = null;
+					});
+				return this.pending;
+			}
+			
+			const cached = postCache.read();
+			const validators = { etag: cached ? cached.etag : null };
+			
+			this.pending = this.fetchPosts(validators)
+				.then(posts => {
+					if (posts === dataSources.NOT_MODIFIED) {
+						postCache.touch(cached);
+						return { posts: cached.posts, changed: false };
+					}
+					
+					const signature = utils.hashString(JSON.stringify(posts));
+					postCache.write(posts, validators.etag, signature);
+					// Removed posts must not keep rendering from the detail page caches
+					const livePosts = this.filterPosts(posts);
+					utils.prunePostData(livePosts);
+					postIndex.prune(livePosts);
+					return { posts: posts, changed: !cached || cached.signature !== signature };
+				})
+				.finally(() => {
+					this.pending = null;
+				});
+			
+			return this.pending;
+		},
+
+		/**
+		 * Filter posts by valid status and publish_at schedule (preview mode also shows drafts and scheduled posts)
+		 */
+		filterPosts: function(posts, now = Date.now()) {
+			const statuses = preview.active ? CONFIG.VALID_STATUSES.concat(CONFIG.PREVIEW.statuses) : CONFIG.VALID_STATUSES;
+			return posts.filter(post => {
+				// Filter out empty posts
+				if (!post.idea || post.idea.trim() === '') {
+					return false;
+				}
+				
+				// Hold back posts scheduled for later
+				if (!preview.active && utils.isScheduled(post, now)) {
+					return false;
+				}
+				
+				// Check if status is valid
+				const status = (post.status || '').toLowerCase().trim();
+				if (!statuses.includes(status)) {
+					return false;
+				}
+				
+				// Without a stable ID the post's URL would change with every edit
+				if (!utils.hasPostId(post)) {
+					console.error(`❌ Skipping post "${utils.getTitle(post)}": it has no ${CONFIG.ID_FIELDS.concat(CONFIG.HASH_FIELDS).join('/')} column`);
+					return false;
+				}
+				
+				return true;
+			});
+		},
+
+		/**
+		 * Resolve a single post by slug, fetching from the API when it isn't indexed yet
+		 */
+		getPostBySlug: async function(slug) {
+			await preview.ready();
+			const cached = await postIndex.get(slug);
+			if (cached) return cached;
+
+			await postIndex.add(this.filterPosts(await this.getPosts()));
+			const post = postIndex.entries.get(slugRedirects.resolve(slug));
+			if (post) return post;
+			
+			// Possibly published since the posts were cached
+			await postIndex.add(this.filterPosts((await this.revalidate()).posts));
+			return postIndex.entries.get(slugRedirects.resolve(slug)) || null;
+		}
+	};
+
+	// Related posts (tag overlap + TF-IDF text similarity) and series ordering
+	const related = {
+		STOP_WORDS: new Set(['about', 'after', 'also', 'and', 'are', 'been', 'but', 'can', 'for', 'from', 'has', 'have', 'how', 'into', 'its', 'more', 'not', 'one', 'our', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'was', 'were', 'what', 'when', 'which', 'while', 'who', 'will', 'with', 'you', 'your']),
+
+		/**
+		 * Term frequencies of a post's title and plain-text body
+		 */
+		termCounts: function(post) {
+			const plain = root.BlogMarkdown ? root.BlogMarkdown.toPlainText(post.idea) : String(post.idea || '');
+			const words = `${utils.getTitle(post)} ${plain}`.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+			const counts = new Map();
+			words.forEach(word => {
+				if (word.length < 3 || this.STOP_WORDS.has(word)) return;
+				counts.set(word, (counts.get(word) || 0) + 1);
+			});
+			return counts;
+		},
+
+		/**
+		 * Unit-length TF-IDF vectors for every post, keyed by post ID
+		 */
+		vectors: function(posts) {
+			const counts = posts.map(post => this.termCounts(post));
+			const documentFrequency = new Map();
+			counts.forEach(terms => terms.forEach((count, term) => {
+				documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+			}));
+			
+			const vectors = new Map();
+			counts.forEach((terms, i) => {
+				const vector = new Map();
+				let norm = 0;
+				terms.forEach((count, term) => {
+					const weight = (1 + Math.log(count)) * Math.log(1 + posts.length / documentFrequency.get(term));
+					vector.set(term, weight);
+					norm += weight * weight;
+				});
+				norm = Math.sqrt(norm) || 1;
+				vector.forEach((weight, term) => vector.set(term, weight / norm));
+				vectors.set(utils.getPostId(posts[i]), vector);
+			});
+			return vectors;
+		},
+
+		cosine: function(a, b) {
+			let dot = 0;
+			const [small, large] = a.size < b.size ? [a, b] : [b, a];
+			small.forEach((weight, term) => {
+				if (large.has(term)) dot += weight * large.get(term);
+			});
+			return dot;
+		},
+
+		/**
+		 * Posts most similar to `post`, excluding its own series; topped up with the latest posts
+		 */
+		find: function(post, posts, limit = CONFIG.RELATED_POSTS_COUNT) {
+			const id = utils.getPostId(post);
+			const series = utils.getSeries(post);
+			const candidates = posts.filter(other => {
+				const otherSeries = utils.getSeries(other);
+				return utils.getPostId(other) !== id && !(series && otherSeries && otherSeries.key === series.key);
+			});
+			
+			const vectors = this.vectors(candidates.concat([post]));
+			const tags = new Set(utils.getTags(post).map(label => utils.tagKey(label)));
+			const category = utils.tagKey(utils.getCategory(post));
+			
+			const ranked = candidates
+				.map(other => {
+					const otherTags = utils.getTags(other).map(label => utils.tagKey(label));
+					const shared = otherTags.filter(tag => tags.has(tag)).length;
+					const union = new Set(otherTags.concat(Array.from(tags))).size;
+					let score = CONFIG.RELATED_TAG_WEIGHT * (union ? shared / union : 0) +
+						CONFIG.RELATED_TEXT_WEIGHT * this.cosine(vectors.get(id), vectors.get(utils.getPostId(other)));
+					if (category && utils.tagKey(utils.getCategory(other)) === category) {
+						score += CONFIG.RELATED_CATEGORY_BONUS;
+					}
+					return { post: other, score: score };
+				})
+				.filter(entry => entry.score > 0)
+				.sort((a, b) => b.score - a.score)
+				.slice(0, limit)
+				.map(entry => entry.post);
+			
+			// Never leave the reader at a dead end
+			utils.sortPosts(candidates).forEach(other => {
+				if (ranked.length < limit && !ranked.includes(other)) ranked.push(other);
+			});
+			return ranked;
+		},
+
+		/**
+		 * A post's series in reading order: { name, posts, index, prev, next } or null
+		 */
+		series: function(post, posts) {
+			const series = utils.getSeries(post);
+			if (!series) return null;
+			
+			const id = utils.getPostId(post);
+			const ordered = utils.sortPosts(posts.filter(other => {
+				const otherSeries = utils.getSeries(other);
+				return otherSeries && otherSeries.key === series.key;
+			}), 'oldest')
+				.map((other, index) => ({ post: other, index: index, order: utils.getSeries(other).order }))
+				.sort((a, b) => {
+					if (a.order === null || b.order === null) {
+						if (a.order !== null) return -1;
+						if (b.order !== null) return 1;
+						return a.index - b.index;
+					}
+					return a.order - b.order || a.index - b.index;
+				})
+				.map(entry => entry.post);
+			
+			const index = ordered.findIndex(other => utils.getPostId(other) === id);
+			if (ordered.length < 2 || index === -1) return null;
+			
+			return {
+				name: series.name,
+				posts: ordered,
+				index: index,
+				prev: ordered[index - 1] || null,
+				next: ordered[index + 1] || null
+			};
+		},
+
+		/**
+		 * A post and its translations (one per language, original first), or [] when it has none
+		 */
+		translations: function(post, posts) {
+			const key = utils.getTranslationKey(post);
+			const seen = new Set();
+			const group = posts
+				.filter(other => utils.getTranslationKey(other) === key)
+				.sort((a, b) => (utils.getPostId(b) === key) - (utils.getPostId(a) === key))
+				.filter(other => {
+					const lang = utils.getLang(other).toLowerCase();
+					if (seen.has(lang)) return false;
+					seen.add(lang);
+					return true;
+				});
+			return group.length > 1 && group.includes(post) ? group : [];
+		},
+
+		/**
+		 * hreflang alternates for a translation group: [{ hreflang, post }], plus x-default (the original)
+		 */
+		alternates: function(translations) {
+			if (translations.length < 2) return [];
+			return translations
+				.map(other => ({ hreflang: utils.getLang(other), post: other }))
+				.concat([{ hreflang: 'x-default', post: translations[0] }]);
+		}
+	};
+
+	// Year/month archive of dated posts, on the same local calendar day formatDate shows
+	const archive = {
+		/**
+		 * { year: '2025', month: '03' } a post was published in, or null when it has no date
+		 */
+		period: function(post) {
+			const published = utils.getPublishedDate(post);
+			if (!published) return null;
+			return {
+				year: String(published.getFullYear()),
+				month: String(published.getMonth() + 1).padStart(2, '0')
+			};
+		},
+
+		/**
+		 * Group posts (kept in the given order) into [{ year, count, months: [{ month, count, posts }] }]
+		 */
+		group: function(posts) {
+			const years = [];
+			posts.forEach(post => {
+				const period = this.period(post);
+				if (!period) return;
+				
+				let year = years.find(entry => entry.year === period.year);
+				if (!year) {
+					year = { year: period.year, count: 0, months: [] };
+					years.push(year);
+				}
+				let month = year.months.find(entry => entry.month === period.month);
+				if (!month) {
+					month = { month: period.month, count: 0, posts: [] };
+					year.months.push(month);
+				}
+				year.count++;
+				month.count++;
+				month.posts.push(post);
+			});
+			return years;
+		},
+
+		/**
+		 * Whether a post falls in the year (and month) of a filter state
+		 */
+		matches: function(post, state) {
+			const period = this.period(post);
+			if (!period || period.year !== state.year) return false;
+			return !state.month || period.month === state.month;
+		},
+
+		/**
+		 * Archive URL relative to blog/ like getPostPath (the full archive without a year)
+		 */
+		path: function(year, month) {
+			if (!year) return 'index.html?view=archive';
+			return `index.html?year=${year}${month ? `&month=${month}` : ''}`;
+		}
+	};
+
+	// View state, kept in the URL query string (?q=attention&tag=llm&category=ai&author=vikas-yadav&sort=oldest&page=2),
+	// plus the archive view (?view=archive, or ?year=2025&month=03 for one period)
+	const filters = {
+		/**
+		 * Read filter state from the current URL
+		 */
+		read: function() {
+			const params = new URLSearchParams(window.location.search);
+			// Pre-rendered index pages (page-N.html) carry their page number in a meta tag
+			const pageMeta = document.querySelector('meta[name="blog:page"]');
+			if (!params.has('page') && pageMeta) {
+				params.set('page', pageMeta.getAttribute('content'));
+			}
+			const year = /^\d{4}$/.test(params.get('year')) ? params.get('year') : '';
+			const month = parseInt(params.get('month'), 10);
+			return {
+				q: (params.get('q') || '').trim(),
+				tag: params.get('tag') || '',
+				category: params.get('category') || '',
+				author: params.get('author') || '',
+				year: year,
+				month: year && month >= 1 && month <= 12 ? String(month).padStart(2, '0') : '',
+				view: params.get('view') === 'archive' ? 'archive' : '',
+				sort: params.get('sort') === 'oldest' ? 'oldest' : CONFIG.DEFAULT_SORT,
+				page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+			};
+		},
+
+		/**
+		 * Write filter state to the URL (pushes a history entry unless replace is set)
+		 */
+		write: function(state, replace = false) {
+			history[replace ? 'replaceState' : 'pushState'](state, '', this.href(state));
+		},
+
+		/**
+		 * URL of this page for a state (other query parameters are kept)
+		 */
+		href: function(state) {
+			const params = new URLSearchParams(window.location.search);
+			['q', 'tag', 'category', 'author', 'year', 'month', 'view'].forEach(key => {
+				if (state[key]) {
+					params.set(key, state[key]);
+				} else {
+					params.delete(key);
+				}
+			});
+			if (state.sort && state.sort !== CONFIG.DEFAULT_SORT) {
+				params.set('sort', state.sort);
+			} else {
+				params.delete('sort');
+			}
+			if (state.page > 1) {
+				params.set('page', state.page);
+			} else {
+				params.delete('page');
+			}
+			
+			const query = params.toString();
+			return `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`;
+		},
+
+		/**
+		 * Whether the state asks for the archive view instead of the grid
+		 */
+		isArchive: function(state) {
+			return state.view === 'archive' || !!state.year;
+		},
+
+		/**
+		 * Whether pages accumulate in the grid (load more / infinite scroll) rather than replace it
+		 */
+		isAppending: function() {
+			return CONFIG.PAGINATION_MODE === 'load-more' || CONFIG.PAGINATION_MODE === 'infinite';
+		},
+
+		/**
+		 * Keep only posts matching the active tag, category, author and archive period, in the chosen order
+		 */
+		apply: function(posts, state) {
+			return utils.sortPosts(posts, state.sort).filter(post => {
+				if (state.tag && !utils.getTags(post).some(label => utils.tagKey(label) === state.tag)) {
+					return false;
+				}
+				if (state.category && utils.tagKey(utils.getCategory(post)) !== state.category) {
+					return false;
+				}
+				if (state.author && utils.getAuthor(post).key !== state.author) {
+					return false;
+				}
+				if (state.year && !archive.matches(post, state)) {
+					return false;
+				}
+				return true;
+			});
+		}
+	};
+
+	// Scroll position kept in the current history entry, so Back returns to the same spot
+	const scrollState = {
+		timer: null,
+
+		/**
+		 * Take over scroll restoration (posts render asynchronously, after the browser would restore)
+		 */
+		init: function() {
+			if ('scrollRestoration' in history) {
+				history.scrollRestoration = 'manual';
+			}
+			
+			window.addEventListener('scroll', () => {
+				clearTimeout(this.timer);
+				this.timer = setTimeout(() => this.save(), 150);
+			}, { passive: true });
+			window.addEventListener('pagehide', () => this.save());
+		},
+
+		save: function() {
+			history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), '');
+		},
+
+		/**
+		 * Scroll back to the position saved in this history entry, if any
+		 */
+		restore: function() {
+			const state = history.state;
+			if (state && typeof state.scrollY === 'number') {
+				window.scrollTo(0, state.scrollY);
+			}
+		}
+	};
+
+	// UI Rendering Functions
+	const ui = {
+		// IntersectionObserver driving infinite scroll
+		scrollObserver: null,
+
+		/**
+		 * Responsive <img> (srcset/sizes, intrinsic size, blurred placeholder) with the default-image fallback
+		 */
+		createImage: function(image, options) {
+			const fallbackImage = getImagePath('images/default-blog.jpg');
+			const attributes = [
+				`src="${Sanitizer.sanitizeUrl(image.src, fallbackImage)}"`,
+				image.srcset ? `srcset="${Sanitizer.escapeHtml(image.srcset)}" sizes="${options.sizes}"` : '',
+				`width="${image.width}" height="${image.height}"`,
+				`alt="${options.alt}"`,
+				`class="${['responsive-image', options.className].filter(Boolean).join(' ')}"`,
+				`loading="${options.loading || 'lazy'}" decoding="async"`,
+				image.placeholder ? 'onload="this.classList.add(\'is-loaded\')"' : '',
+				`onerror="this.onerror=null; this.removeAttribute('srcset'); this.src='${fallbackImage}';"`
+			].filter(Boolean).join(' ');
+			
+			// The placeholder sits behind the image and is hidden once it has loaded
+			const placeholder = image.placeholder
+				? `<span class="image-placeholder" style="background-image: url('${Sanitizer.escapeHtml(image.placeholder)}');" aria-hidden="true"></span>`
+				: '';
+			return `<img ${attributes} />${placeholder}`;
+		},
+
+		/**
+		 * Create HTML for a single blog post card
+		 */
+		createPostCard: function(post, index) {
+			const title = utils.getTitle(post);
+			const excerpt = utils.getExcerpt(post.idea, title);
+			const slug = utils.getPostSlug(post);
+			
+			// Store post data for detail page
+			utils.storePostData(post, slug);
+			
+			const { className: statusClass, label: statusLabel } = utils.getStatusBadge(post);
+			
+			const tagsHTML = this.createTagChips(utils.getTags(post));
+			
+			// Remote strings are escaped before they reach innerHTML
+			const safeTitle = Sanitizer.escapeHtml(title);
+			const imageHTML = this.createImage(utils.getResponsiveImage(post), { alt: safeTitle, className: 'blog-post-image', sizes: CONFIG.IMAGE_SIZES.card });
+			const postUrl = utils.getPostPath(slug);
+			
+			// Search results show highlighted titles and snippets around the match
+			let titleHTML = safeTitle;
+			let excerptHTML = Sanitizer.escapeHtml(excerpt);
+			const match = activeSearch && activeSearch.matches.get(utils.getPostId(post));
+			if (match) {
+				titleHTML = activeSearch.index.highlight(title, match.terms);
+				excerptHTML = activeSearch.index.snippet(match.id, match.terms);
+			}
+			
+			return `
+				<article class="blog-post-card" data-post-id="${Sanitizer.escapeHtml(utils.getPostId(post))}" lang="${Sanitizer.escapeHtml(utils.getLang(post))}">
+					<a href="${postUrl}" class="blog-post-image-wrapper">
+						<span class="blog-status ${statusClass}">${statusLabel}</span>
+						${imageHTML}
+					</a>
+					<div class="blog-post-content">
+						<h3 class="blog-post-title">
+							<a href="${postUrl}">${titleHTML}</a>
+						</h3>
+						<p class="blog-post-reading-time">${utils.formatReadingStats(utils.getReadingStats(post.idea), false)}</p>
+						<p class="blog-post-byline">${this.createByline(utils.getAuthor(post))}</p>
+						<p class="blog-post-excerpt">${excerptHTML}</p>
+						${tagsHTML}
+						<ul class="actions">
+							<li><a href="${postUrl}" class="button small">Read More</a></li>
+						</ul>
+					</div>
+				</article>
+			`;
+		},
+
+		/**
+		 * Create tag chips linking to the filtered blog index
+		 */
+		createTagChips: function(tags) {
+			if (tags.length === 0) return '';
+			
+			const chips = tags.map(label => {
+				const key = utils.tagKey(label);
+				return `<li><a href="?tag=${encodeURIComponent(key)}" class="blog-tag" data-tag="${Sanitizer.escapeHtml(key)}">${Sanitizer.escapeHtml(label)}</a></li>`;
+			}).join('');
+			
+			return `<ul class="blog-post-tags">${chips}</ul>`;
+		},
+
+		/**
+		 * "By <author>" link (with avatar) to the author's archive; basePath reaches blog/ from other pages
+		 */
+		createByline: function(author, basePath = '') {
+			const key = Sanitizer.escapeHtml(author.key);
+			const avatar = author.avatar
+				? `<img src="${Sanitizer.sanitizeUrl(getImagePath(author.avatar), '')}" alt="" class="author-avatar" width="24" height="24" loading="lazy" decoding="async" /> `
+				: '';
+			return `<a href="${basePath}${utils.getAuthorPath(author.key)}" class="author-byline" data-author="${key}" rel="author">${avatar}By <span class="author-name">${Sanitizer.escapeHtml(author.name)}</span></a>`;
+		},
+
+		/**
+		 * Icon links to an author's profiles elsewhere
+		 */
+		createAuthorLinks: function(links) {
+			const networks = {
+				website: { icon: 'solid fa-globe', label: 'Website' },
+				github: { icon: 'brands fa-github', label: 'GitHub' },
+				linkedin: { icon: 'brands fa-linkedin-in', label: 'LinkedIn' },
+				twitter: { icon: 'brands fa-twitter', label: 'Twitter' },
+				scholar: { icon: 'brands fa-google', label: 'Google Scholar' }
+			};
+			const items = Object.keys(links || {}).filter(name => Sanitizer.isSafeUrl(links[name])).map(name => {
+				const network = Object.prototype.hasOwnProperty.call(networks, name) ? networks[name] : { icon: 'solid fa-link', label: name };
+				return `<li><a href="${Sanitizer.sanitizeUrl(links[name])}" class="icon ${network.icon}" target="_blank" rel="noopener me"><span class="label">${Sanitizer.escapeHtml(network.label)}</span></a></li>`;
+			});
+			return items.length > 0 ? `<ul class="icons">${items.join('')}</ul>` : '';
+		},
+
+		/**
+		 * Author profile above the grid on an author archive (?author=)
+		 */
+		renderAuthorProfile: function(posts, state) {
+			const container = document.getElementById('author-profile');
+			if (!container) return;
+			
+			const authored = state.author ? posts.filter(post => utils.getAuthor(post).key === state.author) : [];
+			const author = authored.length > 0
+				? utils.getAuthor(authored[0])
+				: state.author && utils.isRegisteredAuthor(state.author) ? utils.getAuthor({ [CONFIG.AUTHOR_FIELD]: state.author }) : null;
+			if (!author) {
+				container.style.display = 'none';
+				container.innerHTML = '';
+				return;
+			}
+			
+			const avatar = author.avatar
+				? `<img src="${Sanitizer.sanitizeUrl(getImagePath(author.avatar), '')}" alt="${Sanitizer.escapeHtml(author.name)}" class="author-avatar" width="96" height="96" />`
+				: '';
+			container.innerHTML = `
+				${avatar}
+				<div class="author-profile-details">
+					<h2>${Sanitizer.escapeHtml(author.name)}</h2>
+					${author.bio ? `<p>${Sanitizer.escapeHtml(author.bio)}</p>` : ''}
+					${this.createAuthorLinks(author.links)}
+					<p class="author-profile-count">${authored.length} ${authored.length === 1 ? 'post' : 'posts'} &middot; <a href="?" data-author="">All posts</a></p>
+				</div>
+			`;
+			container.style.display = 'flex';
+		},
+
+		/**
+		 * Sidebar archive: one collapsible list of months per year, with post counts
+		 */
+		renderArchiveWidget: function(posts, state) {
+			const container = document.getElementById('blog-archive-widget');
+			if (!container) return;
+			
+			const years = archive.group(utils.sortPosts(posts, 'newest'));
+			if (years.length === 0) {
+				container.style.display = 'none';
+				return;
+			}
+			
+			// The year being viewed (or the latest) starts expanded
+			const openYear = state.year || years[0].year;
+			const items = years.map(year => {
+				const months = year.months.map(month => {
+					const activeClass = year.year === state.year && month.month === state.month ? ' class="active"' : '';
+					return `<li><a href="${archive.path(year.year, month.month)}"${activeClass} data-archive="${year.year}-${month.month}">${Sanitizer.escapeHtml(utils.formatArchivePeriod(year.year, month.month, false))}</a> <span class="count">${month.count}</span></li>`;
+				}).join('');
+				return `
+					<li>
+						<details${year.year === openYear ? ' open' : ''}>
+							<summary>${year.year} <span class="count">${year.count}</span></summary>
+							<ul class="archive-months">
+								<li><a href="${archive.path(year.year)}"${year.year === state.year && !state.month ? ' class="active"' : ''} data-archive="${year.year}">All of ${year.year}</a></li>
+								${months}
+							</ul>
+						</details>
+					</li>
+				`;
+			}).join('');
+			
+			container.querySelector('.archive-widget-list').innerHTML = `
+				<ul class="archive-years">${items}</ul>
+				<p><a href="${archive.path()}" data-archive="all">Browse the full archive</a></p>
+			`;
+			container.style.display = 'block';
+		},
+
+		/**
+		 * Archive view in place of the grid: posts listed by month under their year (hidden when posts is null)
+		 */
+		renderArchive: function(posts, state) {
+			const container = document.getElementById('blog-archive');
+			if (!container) return;
+			
+			if (!posts) {
+				container.style.display = 'none';
+				container.innerHTML = '';
+				return;
+			}
+			
+			['loading-indicator', 'blog-posts-grid', 'no-posts-message', 'pagination-section'].forEach(id => {
+				const element = document.getElementById(id);
+				if (element) element.style.display = 'none';
+			});
+			this.observeScrollEnd(null);
+			
+			const period = state.year ? utils.formatArchivePeriod(state.year, state.month) : '';
+			const years = archive.group(posts);
+			const groups = years.map(year => {
+				const months = year.months.map(month => {
+					const items = month.posts.map(post => {
+						const published = utils.getPublishedDate(post);
+						return `
+							<li>
+								<time datetime="${published.toISOString()}">${Sanitizer.escapeHtml(utils.formatDate(published))}</time>
+								<a href="${utils.getPostPath(utils.getPostSlug(post))}" lang="${Sanitizer.escapeHtml(utils.getLang(post))}">${Sanitizer.escapeHtml(utils.getTitle(post))}</a>
+							</li>
+						`;
+					}).join('');
+					return `
+						<h4><a href="${archive.path(year.year, month.month)}" data-archive="${year.year}-${month.month}">${Sanitizer.escapeHtml(utils.formatArchivePeriod(year.year, month.month, false))}</a> <span class="count">${month.count}</span></h4>
+						<ul class="archive-posts">${items}</ul>
+					`;
+				}).join('');
+				return `
+					<section class="archive-year">
+						<h3><a href="${archive.path(year.year)}" data-archive="${year.year}">${year.year}</a> <span class="count">${year.count}</span></h3>
+						${months}
+					</section>
+				`;
+			}).join('');
+			
+			const count = years.reduce((total, year) => total + year.count, 0);
+			container.innerHTML = `
+				<header>
+					<h2>${period ? `Archive: ${Sanitizer.escapeHtml(period)}` : 'Archive'}</h2>
+					<p>${count} ${count === 1 ? 'post' : 'posts'} &middot; <a href="index.html" data-archive="">Back to all posts</a></p>
+				</header>
+				${groups || `<p class="archive-empty">${period ? `No posts from ${Sanitizer.escapeHtml(period)}.` : 'No dated posts yet.'}</p>`}
+			`;
+			container.style.display = 'block';
+		},
+
+		/**
+		 * Render the tag filter bar with post counts
+		 */
+		renderFilterBar: function(posts, state) {
+			const filterBar = document.getElementById('blog-filter-bar');
+			if (!filterBar) return;
+			
+			const counts = new Map();
+			posts.forEach(post => {
+				utils.getTags(post).forEach(label => {
+					const key = utils.tagKey(label);
+					const entry = counts.get(key) || { label: label, count: 0 };
+					entry.count++;
+					counts.set(key, entry);
+				});
+			});
+			
+			if (counts.size === 0) {
+				filterBar.style.display = 'none';
+				return;
+			}
+			
+			const sorted = Array.from(counts.entries()).sort((a, b) => b[1].count - a[1].count || a[1].label.localeCompare(b[1].label));
+			
+			let filterHTML = `<li><a href="?" class="blog-tag${state.tag ? '' : ' active'}" data-tag="">All <span class="count">${posts.length}</span></a></li>`;
+			sorted.forEach(([key, entry]) => {
+				const activeClass = key === state.tag ? ' active' : '';
+				filterHTML += `<li><a href="?tag=${encodeURIComponent(key)}" class="blog-tag${activeClass}" data-tag="${Sanitizer.escapeHtml(key)}">${Sanitizer.escapeHtml(entry.label)} <span class="count">${entry.count}</span></a></li>`;
+			});
+			
+			filterBar.innerHTML = `<ul class="blog-post-tags">${filterHTML}</ul>`;
+			filterBar.style.display = 'block';
+		},
+
+		/**
+		 * Render the sidebar category list from the posts' categories, keyed like filters.apply (utils.tagKey)
+		 */
+		renderCategoryList: function(posts, state) {
+			const list = document.getElementById('blog-category-list');
+			if (!list) return;
+			
+			const counts = new Map();
+			posts.forEach(post => {
+				const label = utils.getCategory(post);
+				const key = utils.tagKey(label);
+				if (!key) return;
+				const entry = counts.get(key) || { label: label, count: 0 };
+				entry.count++;
+				counts.set(key, entry);
+			});
+			
+			const sorted = Array.from(counts.entries()).sort((a, b) => b[1].count - a[1].count || a[1].label.localeCompare(b[1].label));
+			
+			let listHTML = `<li><a href="?"${state.category ? '' : ' class="active"'} data-category="all">All Posts</a></li>`;
+			sorted.forEach(([key, entry]) => {
+				const activeClass = key === state.category ? ' class="active"' : '';
+				listHTML += `<li><a href="?category=${encodeURIComponent(key)}"${activeClass} data-category="${Sanitizer.escapeHtml(key)}">${Sanitizer.escapeHtml(entry.label)} <span class="count">${entry.count}</span></a></li>`;
+			});
+			
+			list.innerHTML = listHTML;
+		},
+
+		/**
+		 * Render the search summary with an optional "did you mean" suggestion
+		 */
+		renderSearchStatus: function(query, count, suggestion) {
+			const status = document.getElementById('search-status');
+			if (!status) return;
+			
+			if (!query) {
+				status.style.display = 'none';
+				status.innerHTML = '';
+				return;
+			}
+			
+			const safeQuery = Sanitizer.escapeHtml(query);
+			let statusHTML = count > 0
+				? `<p>${count} result${count === 1 ? '' : 's'} for “${safeQuery}”`
+				: `<p>No results for “${safeQuery}”`;
+			
+			if (suggestion) {
+				const safeSuggestion = Sanitizer.escapeHtml(suggestion);
+				statusHTML += ` &mdash; did you mean <a href="?q=${encodeURIComponent(suggestion)}" data-search-suggestion="${safeSuggestion}">${safeSuggestion}</a>?`;
+			}
+			
+			statusHTML += ' <a href="?" class="search-clear" data-search-clear>Clear search</a></p>';
+			
+			status.innerHTML = statusHTML;
+			status.style.display = 'block';
+		},
+
+		/**
+		 * Render exactly the view a URL state describes: search results or the filtered index
+		 */
+		renderView: function(state) {
+			const searchInput = document.getElementById('search-query');
+			if (searchInput) {
+				searchInput.value = state.q;
+			}
+			
+			if (state.q) {
+				this.renderCategoryList(unfilteredPosts, { category: '' });
+				this.renderAuthorProfile(unfilteredPosts, { author: '' });
+				this.renderArchive(null);
+				return Search.run(state.q, state.page);
+			}
+			this.renderFiltered(state);
+			return Promise.resolve();
+		},
+
+		/**
+		 * Render the blog grid for the given filter state
+		 */
+		renderFiltered: function(state) {
+			activeSearch = null;
+			this.renderSearchStatus('');
+			this.renderFilterBar(unfilteredPosts, state);
+			this.renderCategoryList(unfilteredPosts, state);
+			this.renderAuthorProfile(unfilteredPosts, state);
+			this.renderArchiveWidget(unfilteredPosts, state);
+			
+			const sortSelect = document.getElementById('blog-sort');
+			if (sortSelect) {
+				sortSelect.value = state.sort;
+			}
+			
+			if (filters.isArchive(state)) {
+				this.renderArchive(filters.apply(unfilteredPosts, state), state);
+				return;
+			}
+			this.renderArchive(null);
+			this.renderPosts(filters.apply(unfilteredPosts, state), state.page);
+		},
+
+		/**
+		 * Diff cards ({ id, html }) against the grid: unchanged cards keep their DOM nodes
+		 * (and loaded images), changed ones are replaced and the rest reordered or removed
+		 */
+		patchGrid: function(container, cards) {
+			const existing = new Map();
+			Array.from(container.children).forEach(node => {
+				if (node.dataset.postId) existing.set(node.dataset.postId, node);
+			});
+			
+			const template = document.createElement('template');
+			cards.forEach((card, i) => {
+				const renderKey = utils.hashString(card.html);
+				let node = existing.get(card.id);
+				
+				if (!node || node.dataset.renderKey !== renderKey) {
+					template.innerHTML = card.html.trim();
+					node = template.content.firstElementChild;
+					node.dataset.renderKey = renderKey;
+				}
+				
+				if (container.children[i] !== node) {
+					container.insertBefore(node, container.children[i] || null);
+				}
+			});
+			
+			while (container.children.length > cards.length) {
+				container.removeChild(container.lastElementChild);
+			}
+		},
+
+		/**
+		 * Render posts to the blog grid with pagination
+		 */
+		renderPosts: function(posts, page = 1) {
+			const container = document.getElementById('blog-posts-grid');
+			const loadingIndicator = document.getElementById('loading-indicator');
+			const noPostsMessage = document.getElementById('no-posts-message');
+			const paginationSection = document.getElementById('pagination-section');
+			
+			if (!container) return;
+			
+			// Hide loading indicator
+			if (loadingIndicator) {
+				loadingIndicator.style.display = 'none';
+			}
+			
+			if (posts.length === 0) {
+				container.style.display = 'none';
+				if (noPostsMessage) {
+					noPostsMessage.style.display = 'block';
+				}
+				if (paginationSection) {
+					paginationSection.style.display = 'none';
+				}
+				return;
+			}
+			
+			if (noPostsMessage) {
+				noPostsMessage.style.display = 'none';
+			}
+			
+			// Store all posts and calculate pagination
+			allValidPosts = posts;
+			totalPages = Math.ceil(posts.length / CONFIG.POSTS_PER_PAGE);
+			currentPage = Math.min(page, totalPages);
+			
+			// Get posts for current page (every page loaded so far when appending)
+			const startIndex = filters.isAppending() ? 0 : (currentPage - 1) * CONFIG.POSTS_PER_PAGE;
+			const endIndex = currentPage * CONFIG.POSTS_PER_PAGE;
+			const postsToDisplay = posts.slice(startIndex, endIndex);
+			
+			// Render posts, keeping cards that haven't changed (so loading more only appends)
+			this.patchGrid(container, postsToDisplay.map((post, index) => ({
+				id: utils.getPostId(post),
+				html: this.createPostCard(post, startIndex + index)
+			})));
+			container.style.display = 'flex';
+			
+			// Render pagination
+			this.renderPagination();
+			
+			// Numbered pages start at the top of the grid; appended pages keep the reader where they are
+			if (page > 1 && !filters.isAppending()) {
+				const blogSection = document.getElementById('blog-posts-section');
+				if (blogSection) {
+					blogSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+				}
+			}
+		},
+
+		/**
+		 * Render pagination controls
+		 */
+		renderPagination: function() {
+			const paginationSection = document.getElementById('pagination-section');
+			if (!paginationSection || totalPages <= 1) {
+				if (paginationSection) paginationSection.style.display = 'none';
+				this.observeScrollEnd(null);
+				return;
+			}
+			
+			paginationSection.style.display = 'block';
+			
+			if (filters.isAppending()) {
+				this.renderLoadMore(paginationSection);
+				return;
+			}
+			
+			// Real links, so pages can be opened in a new tab or shared
+			const state = filters.read();
+			const pageHref = page => Sanitizer.escapeHtml(filters.href(Object.assign({}, state, { page: page })));
+			
+			let paginationHTML = '<ul class="pagination">';
+			
+			// Previous button
+			if (currentPage > 1) {
+				paginationHTML += `<li><a href="${pageHref(currentPage - 1)}" class="button" data-page="${currentPage - 1}">Prev</a></li>`;
+			} else {
+				paginationHTML += '<li><span class="button disabled">Prev</span></li>';
+			}
+			
+			// Page numbers
+			const maxPageButtons = 5;
+			let startPage = Math.max(1, currentPage - Math.floor(maxPageButtons / 2));
+			let endPage = Math.min(totalPages, startPage + maxPageButtons - 1);
+			
+			if (endPage - startPage < maxPageButtons - 1) {
+				startPage = Math.max(1, endPage - maxPageButtons + 1);
+			}
+			
+			if (startPage > 1) {
+				paginationHTML += `<li><a href="${pageHref(1)}" class="page" data-page="1">1</a></li>`;
+				if (startPage > 2) {
+					paginationHTML += '<li><span>...</span></li>';
+				}
+			}
+			
+			for (let i = startPage; i <= endPage; i++) {
+				if (i === currentPage) {
+					paginationHTML += `<li><a href="${pageHref(i)}" class="page active" data-page="${i}">${i}</a></li>`;
+				} else {
+					paginationHTML += `<li><a href="${pageHref(i)}" class="page" data-page="${i}">${i}</a></li>`;
+				}
+			}
+			
+			if (endPage < totalPages) {
+				if (endPage < totalPages - 1) {
+					paginationHTML += '<li><span>...</span></li>';
+				}
+				paginationHTML += `<li><a href="${pageHref(totalPages)}" class="page" data-page="${totalPages}">${totalPages}</a></li>`;
+			}
+			
+			// Next button
+			if (currentPage < totalPages) {
+				paginationHTML += `<li><a href="${pageHref(currentPage + 1)}" class="button" data-page="${currentPage + 1}">Next</a></li>`;
+			} else {
+				paginationHTML += '<li><span class="button disabled">Next</span></li>';
+			}
+			
+			paginationHTML += '</ul>';
+			
+			paginationSection.innerHTML = paginationHTML;
+			
+			// Add click handlers
+			const pageLinks = paginationSection.querySelectorAll('a[data-page]');
+			pageLinks.forEach(link => {
+				link.addEventListener('click', (e) => {
+					e.preventDefault();
+					const page = parseInt(link.getAttribute('data-page'));
+					filters.write(Object.assign(filters.read(), { page: page }));
+					ui.renderPosts(allValidPosts, page);
+				});
+			});
+		},
+
+		/**
+		 * "Load more" button (also the fallback when infinite scroll can't observe the grid end)
+		 */
+		renderLoadMore: function(paginationSection) {
+			if (currentPage >= totalPages) {
+				paginationSection.innerHTML = `<p class="load-more-status">You've reached the end · ${allValidPosts.length} posts</p>`;
+				this.observeScrollEnd(null);
+				return;
+			}
+			
+			const remaining = allValidPosts.length - currentPage * CONFIG.POSTS_PER_PAGE;
+			paginationSection.innerHTML = `
+				<ul class="actions load-more">
+					<li><a href="${Sanitizer.escapeHtml(filters.href(Object.assign(filters.read(), { page: currentPage + 1 })))}" class="button" data-load-more>Load More (${remaining} more)</a></li>
+				</ul>
+			`;
+			
+			paginationSection.querySelector('a[data-load-more]').addEventListener('click', (e) => {
+				e.preventDefault();
+				this.loadMore();
+			});
+			
+			if (CONFIG.PAGINATION_MODE === 'infinite') {
+				this.observeScrollEnd(paginationSection);
+			}
+		},
+
+		/**
+		 * Append the next page, recording the loaded page count in the URL and history entry
+		 */
+		loadMore: function() {
+			if (currentPage >= totalPages) return;
+			
+			const page = currentPage + 1;
+			filters.write(Object.assign(filters.read(), { page: page }), true);
+			ui.renderPosts(allValidPosts, page);
+		},
+
+		/**
+		 * Infinite scroll: load the next page whenever the target nears the viewport (null stops observing)
+		 */
+		observeScrollEnd: function(target) {
+			if (this.scrollObserver) {
+				this.scrollObserver.disconnect();
+				this.scrollObserver = null;
+			}
+			if (!target || !('IntersectionObserver' in window)) return;
+			
+			this.scrollObserver = new IntersectionObserver(entries => {
+				if (entries.some(entry => entry.isIntersecting)) {
+					this.loadMore();
 				}
-				paginationHTML += `<li><a href="#" class="page" data-page="${totalPages}">${totalPages}</a></li>`;
+			}, { rootMargin: `0px 0px ${CONFIG.INFINITE_SCROLL_MARGIN} 0px` });
+			this.scrollObserver.observe(target);
+		},
+
+		/**
+		 * Series box: "Part N of M", table of contents and previous/next links
+		 */
+		renderSeries: function(container, series) {
+			if (!container) return;
+			if (!series) {
+				container.style.display = 'none';
+				return;
 			}
 			
-			// Next button
-			if (currentPage < totalPages) {
-				paginationHTML += `<li><a href="#" class="button" data-page="${currentPage + 1}">Next</a></li>`;
-			} else {
-				paginationHTML += '<li><span class="button disabled">Next</span></li>';
-			}
+			const link = post => `<a href="${utils.getPostPath(utils.getPostSlug(post))}">${Sanitizer.escapeHtml(utils.getTitle(post))}</a>`;
+			const items = series.posts.map((post, i) => i === series.index
+				? `<li class="current" aria-current="page">${Sanitizer.escapeHtml(utils.getTitle(post))}</li>`
+				: `<li>${link(post)}</li>`).join('');
 			
-			paginationHTML += '</ul>';
+			container.innerHTML = `
+				<h3>Part ${series.index + 1} of ${series.posts.length}: ${Sanitizer.escapeHtml(series.name)}</h3>
+				<ol class="series-toc">${items}</ol>
+				<ul class="series-pager">
+					<li class="prev">${series.prev ? `<span>← Previous</span>${link(series.prev)}` : ''}</li>
+					<li class="next">${series.next ? `<span>Next →</span>${link(series.next)}` : ''}</li>
+				</ul>
+			`;
+			container.style.display = 'block';
+		},
+
+		/**
+		 * "Also available in" links to a post's translations
+		 */
+		createTranslationLinks: function(post, translations) {
+			const links = translations
+				.filter(other => other !== post)
+				.map(other => {
+					const lang = Sanitizer.escapeHtml(utils.getLang(other));
+					const postUrl = utils.getPostPath(utils.getPostSlug(other));
+					return `<a href="${postUrl}" hreflang="${lang}" lang="${lang}">${Sanitizer.escapeHtml(utils.getLanguageName(utils.getLang(other)))}</a>`;
+				});
+			return links.length > 0 ? `Also available in: ${links.join(', ')}` : '';
+		},
+
+		renderTranslations: function(container, post, translations) {
+			if (!container) return;
+			const html = this.createTranslationLinks(post, translations);
+			container.innerHTML = html;
+			container.style.display = html ? 'block' : 'none';
+		},
+
+		/**
+		 * Related posts below the share buttons (compact thumbnail list)
+		 */
+		renderRelated: function(container, posts) {
+			if (!container) return;
+			if (posts.length === 0) {
+				container.style.display = 'none';
+				return;
+			}
 			
-			paginationSection.innerHTML = paginationHTML;
+			const items = posts.map(post => {
+				const title = Sanitizer.escapeHtml(utils.getTitle(post));
+				const postUrl = utils.getPostPath(utils.getPostSlug(post));
+				return `
+					<li>
+						<a href="${postUrl}" class="related-post-image">
+							${this.createImage(utils.getResponsiveImage(post), { alt: title, sizes: CONFIG.IMAGE_SIZES.related })}
+						</a>
+						<div>
+							<a href="${postUrl}" class="related-post-title">${title}</a>
+							<p>${Sanitizer.escapeHtml(utils.getExcerpt(post.idea, utils.getTitle(post)))}</p>
+						</div>
+					</li>
+				`;
+			}).join('');
 			
-			// Add click handlers
-			const pageLinks = paginationSection.querySelectorAll('a[data-page]');
-			pageLinks.forEach(link => {
-				link.addEventListener('click', (e) => {
-					e.preventDefault();
-					const page = parseInt(link.getAttribute('data-page'));
-					ui.renderPosts(allValidPosts, page);
-				});
-			});
+			container.innerHTML = `<h3>Related Posts</h3><ul class="related-posts-list">${items}</ul>`;
+			container.style.display = 'block';
 		},
 
 		/**
@@ -436,49 +2652,39 @@
 			
 			console.log(`Rendering homepage posts: ${posts.length} total posts available`);
 			
-			// Get rotation index from localStorage
-			let rotationIndex = parseInt(localStorage.getItem('blog_rotation_index') || '0');
-			const lastRotation = parseInt(localStorage.getItem('blog_last_rotation') || '0');
-			const now = Date.now();
-			
-			// Rotate posts every 2 hours
-			if (now - lastRotation > CONFIG.ROTATION_INTERVAL) {
-				rotationIndex = (rotationIndex + 6) % posts.length;
-				localStorage.setItem('blog_rotation_index', rotationIndex.toString());
-				localStorage.setItem('blog_last_rotation', now.toString());
-				console.log(`Posts rotated. New rotation index: ${rotationIndex}`);
-			}
-			
-			// Get 6 posts starting from rotation index
-			const displayPosts = [];
-			for (let i = 0; i < Math.min(6, posts.length); i++) {
-				displayPosts.push(posts[(rotationIndex + i) % posts.length]);
-			}
+			// Same set for every visitor (see rotation.js); newest posts when it isn't loaded
+			const displayPosts = root.BlogRotation
+				? root.BlogRotation.select(posts, {
+					strategy: CONFIG.ROTATION_STRATEGY,
+					slots: CONFIG.ROTATION_SLOTS,
+					pinned: utils.getPinnedPosts(posts)
+				})
+				: posts.slice(0, CONFIG.ROTATION_SLOTS);
 			
-			console.log(`Displaying ${displayPosts.length} posts on homepage`);
+			console.log(`Displaying ${displayPosts.length} posts on homepage (${CONFIG.ROTATION_STRATEGY} rotation)`);
 			
 			// Render posts
 			const postsHTML = displayPosts.map((post, index) => {
 				const title = utils.getTitle(post);
-				const excerpt = utils.getExcerpt(post.idea);
-				const image = utils.getPostImage(post);
-				const slug = utils.createSlug(title);
+				const excerpt = utils.getExcerpt(post.idea, title);
+				const slug = utils.getPostSlug(post);
 				
 				utils.storePostData(post, slug);
 				
-				const fallbackImage = getImagePath('images/default-blog.jpg');
+				const safeTitle = Sanitizer.escapeHtml(title);
+				const postUrl = `blog/${utils.getPostPath(slug)}`;
 				
 				return `
 					<article>
-						<a href="blog/post.html?slug=${slug}" class="image">
-							<img src="${image}" alt="${title}" 
-								 loading="lazy"
-								 onerror="this.onerror=null; this.src='${fallbackImage}';" />
+						<a href="${postUrl}" class="image">
+							${this.createImage(utils.getResponsiveImage(post), { alt: safeTitle, sizes: CONFIG.IMAGE_SIZES.card })}
 						</a>
-						<h3>${title}</h3>
-						<p>${excerpt}</p>
+						<h3>${safeTitle}</h3>
+						<p class="blog-post-reading-time">${utils.formatReadingStats(utils.getReadingStats(post.idea), false)}</p>
+						<p class="blog-post-byline">${this.createByline(utils.getAuthor(post), 'blog/')}</p>
+						<p>${Sanitizer.escapeHtml(excerpt)}</p>
 						<ul class="actions">
-							<li><a href="blog/post.html?slug=${slug}" class="button">Read More</a></li>
+							<li><a href="${postUrl}" class="button">Read More</a></li>
 						</ul>
 					</article>
 				`;
@@ -491,6 +2697,55 @@
 
 	// Main Blog Loader
 	const BlogLoader = {
+		/**
+		 * Filter, index and render posts into whichever container the page has
+		 */
+		render: function(allPosts) {
+			const blogContainer = document.getElementById('blog-posts-grid');
+			const homepageContainer = document.getElementById('latest-posts');
+			
+			// Filter valid posts
+			const validPosts = api.filterPosts(allPosts);
+			console.log(`✅ Filtered to ${validPosts.length} valid posts (status: ready/posted)`);
+			
+			// Index posts so detail pages resolve without another fetch
+			postIndex.add(validPosts);
+			
+			if (validPosts.length === 0) {
+				console.warn('⚠️  No valid posts found');
+				if (homepageContainer) {
+					homepageContainer.innerHTML = `
+						<article style="grid-column: 1 / -1; text-align: center; padding: 3em;">
+							<p style="color: #999;">No blog posts available at this time. Check back soon!</p>
+						</article>
+					`;
+				}
+				if (blogContainer) {
+					unfilteredPosts = [];
+					ui.renderPosts([]);
+				}
+				return;
+			}
+			
+			// Render to appropriate container (newest first by default)
+			if (blogContainer) {
+				// We're on the blog page
+				console.log('📄 Rendering to blog page');
+				const firstRender = unfilteredPosts.length === 0;
+				unfilteredPosts = validPosts;
+				Search.index = null;
+				const rendered = activeSearch ? Search.run(activeSearch.query, currentPage) : ui.renderView(filters.read());
+				// Returning via Back: same pages are loaded again, so the saved position is valid
+				if (firstRender) {
+					rendered.then(() => scrollState.restore());
+				}
+			} else if (homepageContainer) {
+				// We're on the homepage
+				console.log('🏠 Rendering to homepage');
+				ui.renderHomepagePosts(utils.sortPosts(validPosts));
+			}
+		},
+
 		init: async function() {
 			console.log('🚀 BlogLoader initializing...');
 			
@@ -510,37 +2765,18 @@
 					return;
 				}
 				
-				console.log('📡 Fetching posts from API...');
-				// Fetch posts from API
-				const allPosts = await api.fetchPosts();
-				console.log(`✅ Fetched ${allPosts.length} total posts`);
+				// Drafts are only filtered in once preview access is confirmed
+				await preview.ready();
 				
-				// Filter valid posts
-				const validPosts = api.filterPosts(allPosts);
-				console.log(`✅ Filtered to ${validPosts.length} valid posts (status: ready/posted)`);
-				
-				if (validPosts.length === 0) {
-					console.warn('⚠️  No valid posts found');
-					if (homepageContainer) {
-						homepageContainer.innerHTML = `
-							<article style="grid-column: 1 / -1; text-align: center; padding: 3em;">
-								<p style="color: #999;">No blog posts available at this time. Check back soon!</p>
-							</article>
-						`;
-					}
-					return;
-				}
+				console.log(`📡 Fetching posts (${CONFIG.DATA_SOURCE} source)...`);
+				// Cached posts render immediately; a background refresh re-renders only if they changed
+				const allPosts = await api.getPosts(function(freshPosts) {
+					console.log('🔄 Posts changed since they were cached, updating');
+					BlogLoader.render(freshPosts);
+				});
+				console.log(`✅ Fetched ${allPosts.length} total posts`);
 				
-				// Render to appropriate container
-				if (blogContainer) {
-					// We're on the blog page
-					console.log('📄 Rendering to blog page');
-					ui.renderPosts(validPosts);
-				} else if (homepageContainer) {
-					// We're on the homepage
-					console.log('🏠 Rendering to homepage');
-					ui.renderHomepagePosts(validPosts);
-				}
+				this.render(allPosts);
 				
 			} catch (error) {
 				console.error('❌ Error initializing blog:', error);
@@ -566,52 +2802,600 @@
 		}
 	};
 
-	// Search functionality
+	// Post detail page: series navigation, related posts, translations and the archive widget for the displayed post
+	const PostNavigation = {
+		render: async function(postData) {
+			const seriesContainer = document.getElementById('post-series');
+			const relatedContainer = document.getElementById('related-posts');
+			if (!seriesContainer && !relatedContainer) return;
+			
+			try {
+				const posts = api.filterPosts(await api.getPosts());
+				const post = posts.find(other => utils.getPostId(other) === postData.id);
+				if (!post) return;
+				
+				const translations = related.translations(post, posts);
+				ui.renderTranslations(document.getElementById('post-translations'), post, translations);
+				ui.renderArchiveWidget(posts, {});
+				this.setAlternates(translations);
+				ui.renderSeries(seriesContainer, related.series(post, posts));
+				ui.renderRelated(relatedContainer, related.find(post, posts));
+			} catch (error) {
+				console.warn('Could not load related posts:', error);
+			}
+		},
+
+		/**
+		 * <link rel="alternate" hreflang> for each translation (replacing pre-rendered ones)
+		 */
+		setAlternates: function(translations) {
+			document.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+			related.alternates(translations).forEach(alternate => {
+				const link = document.createElement('link');
+				link.rel = 'alternate';
+				link.hreflang = alternate.hreflang;
+				link.href = new URL(utils.getPostPath(utils.getPostSlug(alternate.post)), window.location.href).href;
+				document.head.appendChild(link);
+			});
+		}
+	};
+
+	// Post detail page: heading anchors, copy-link buttons and a scroll-spy table of contents
+	const PostOutline = {
+		observer: null,
+
+		/**
+		 * Enhance the headings of a rendered post body (ids come from markdown.js)
+		 */
+		render: function(body) {
+			if (!body) return;
+			
+			// A heading called "Menu" must not take over the page's own #menu
+			const pageIds = new Set(Array.from(document.querySelectorAll('[id]'))
+				.filter(element => !body.contains(element))
+				.map(element => element.id));
+			
+			const headings = Array.from(body.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'));
+			headings.forEach(heading => {
+				if (pageIds.has(heading.id)) {
+					heading.id = 'section-' + heading.id;
+				}
+				this.addCopyButton(heading);
+			});
+			
+			this.renderTOC(body, headings.filter(heading => heading.tagName === 'H2' || heading.tagName === 'H3'));
+			
+			// The browser tried to jump to #section before the post existed
+			const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+			if (target && body.contains(target)) {
+				target.scrollIntoView();
+			}
+		},
+
+		addCopyButton: function(heading) {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'heading-copy-link';
+			button.title = 'Copy link to this section';
+			button.setAttribute('aria-label', `Copy link to section: ${heading.textContent.trim()}`);
+			button.innerHTML = '<span class="icon solid fa-link"></span>';
+			button.addEventListener('click', () => this.copyLink(heading.id, button));
+			heading.appendChild(button);
+		},
+
+		/**
+		 * Put the section URL in the address bar and on the clipboard
+		 */
+		copyLink: function(id, button) {
+			const url = new URL(window.location.href);
+			url.hash = id;
+			history.replaceState(history.state, '', url.toString());
+			
+			const confirm = () => {
+				button.classList.add('copied');
+				setTimeout(() => button.classList.remove('copied'), 1500);
+			};
+			if (navigator.clipboard && navigator.clipboard.writeText) {
+				navigator.clipboard.writeText(url.toString()).then(confirm).catch(error => console.warn('Could not copy link:', error));
+			} else {
+				confirm();
+			}
+		},
+
+		/**
+		 * Sidebar table of contents for long posts (h2/h3), hidden otherwise
+		 */
+		renderTOC: function(body, headings) {
+			const container = document.getElementById('post-toc');
+			if (!container) return;
+			
+			const words = (body.textContent.match(/\S+/g) || []).length;
+			if (headings.length < CONFIG.TOC_MIN_HEADINGS || words < CONFIG.TOC_MIN_WORDS) {
+				container.style.display = 'none';
+				container.innerHTML = '';
+				return;
+			}
+			
+			const items = headings.map(heading => `
+				<li class="toc-${heading.tagName.toLowerCase()}">
+					<a href="#${encodeURIComponent(heading.id)}" data-toc-target="${Sanitizer.escapeHtml(heading.id)}">${Sanitizer.escapeHtml(heading.textContent.trim())}</a>
+				</li>
+			`).join('');
+			
+			container.innerHTML = `
+				<header class="major">
+					<h2>On This Page</h2>
+				</header>
+				<ol class="toc-list">${items}</ol>
+			`;
+			container.style.display = 'block';
+			
+			this.spy(headings, container);
+		},
+
+		/**
+		 * Highlight the TOC entry of the section being read
+		 */
+		spy: function(headings, container) {
+			if (this.observer) {
+				this.observer.disconnect();
+				this.observer = null;
+			}
+			
+			const links = new Map(Array.from(container.querySelectorAll('a[data-toc-target]'))
+				.map(link => [link.getAttribute('data-toc-target'), link]));
+			
+			const update = () => {
+				const line = window.innerHeight * CONFIG.TOC_ACTIVE_LINE;
+				let current = headings[0];
+				headings.forEach(heading => {
+					if (heading.getBoundingClientRect().top <= line) current = heading;
+				});
+				links.forEach((link, id) => link.classList.toggle('active', id === current.id));
+			};
+			
+			if ('IntersectionObserver' in window) {
+				// Headings crossing the active line are the only moments the current section can change
+				const bottomMargin = Math.round((1 - CONFIG.TOC_ACTIVE_LINE) * 100);
+				this.observer = new IntersectionObserver(update, { rootMargin: `0px 0px -${bottomMargin}% 0px` });
+				headings.forEach(heading => this.observer.observe(heading));
+			}
+			update();
+		}
+	};
+
+	// Post detail page: reading progress bar and scroll-completion analytics
+	const ReadingProgress = {
+		/**
+		 * Track how far through the post body the reader has scrolled
+		 */
+		start: function(postData) {
+			const body = document.getElementById('post-body');
+			const bar = document.getElementById('reading-progress');
+			if (!body) return;
+			
+			const reported = new Set();
+			const startedAt = Date.now();
+			let frame = null;
+			
+			const update = () => {
+				frame = null;
+				const rect = body.getBoundingClientRect();
+				// 100% once the end of the body reaches the bottom of the viewport
+				const total = rect.height - window.innerHeight;
+				const progress = total > 0
+					? Math.min(1, Math.max(0, -rect.top / total))
+					: (rect.bottom <= window.innerHeight ? 1 : 0);
+				const percent = Math.round(progress * 100);
+				
+				if (bar) {
+					bar.style.display = 'block';
+					bar.firstElementChild.style.width = `${percent}%`;
+					bar.setAttribute('aria-valuenow', percent);
+				}
+				
+				CONFIG.READ_MILESTONES.forEach(milestone => {
+					if (percent < milestone || reported.has(milestone)) return;
+					reported.add(milestone);
+					if (root.Analytics && typeof root.Analytics.trackReadProgress === 'function') {
+						root.Analytics.trackReadProgress(postData.slug, milestone, {
+							title: postData.title,
+							words: postData.wordCount,
+							reading_minutes: postData.readingMinutes,
+							seconds: Math.round((Date.now() - startedAt) / 1000)
+						});
+					}
+				});
+			};
+			
+			const schedule = () => {
+				if (frame === null) frame = requestAnimationFrame(update);
+			};
+			window.addEventListener('scroll', schedule, { passive: true });
+			window.addEventListener('resize', schedule);
+			update();
+		}
+	};
+
+	// Post detail page: gallery of all post images with a keyboard- and swipe-friendly lightbox
+	const PostGallery = {
+		images: [],
+		title: '',
+		index: 0,
+		lightbox: null,
+		opener: null,
+
+		/**
+		 * Render the gallery (only worth showing when a post has more than one image)
+		 */
+		render: function(container, images, title) {
+			if (!container) return;
+			this.images = images || [];
+			this.title = title || '';
+			
+			if (this.images.length < 2) {
+				container.innerHTML = '';
+				container.style.display = 'none';
+				return;
+			}
+			
+			const items = this.images.map((image, index) => {
+				const caption = image.caption ? `<figcaption>${Sanitizer.escapeHtml(image.caption)}</figcaption>` : '';
+				return `
+					<li>
+						<figure>
+							<button type="button" class="gallery-thumb" data-gallery-index="${index}" aria-label="View image ${index + 1} of ${this.images.length}">
+								${ui.createImage(image, { alt: Sanitizer.escapeHtml(this.altText(index)), sizes: CONFIG.IMAGE_SIZES.gallery })}
+							</button>
+							${caption}
+						</figure>
+					</li>
+				`;
+			}).join('');
+			
+			container.innerHTML = `<h3>Gallery</h3><ul class="gallery-grid">${items}</ul>`;
+			container.style.display = 'block';
+			
+			container.querySelectorAll('[data-gallery-index]').forEach(button => {
+				button.addEventListener('click', () => {
+					this.open(Number(button.getAttribute('data-gallery-index')), button);
+				});
+			});
+		},
+
+		/**
+		 * Alt text for an image: its caption, or the post title and position
+		 */
+		altText: function(index) {
+			const image = this.images[index];
+			return image.caption || `${this.title} (image ${index + 1} of ${this.images.length})`;
+		},
+
+		/**
+		 * Build the lightbox dialog once, on first open
+		 */
+		createLightbox: function() {
+			if (this.lightbox) return this.lightbox;
+			
+			const lightbox = document.createElement('div');
+			lightbox.className = 'lightbox';
+			lightbox.hidden = true;
+			lightbox.setAttribute('role', 'dialog');
+			lightbox.setAttribute('aria-modal', 'true');
+			lightbox.setAttribute('aria-label', 'Image viewer');
+			lightbox.innerHTML = `
+				<button type="button" class="lightbox-close" aria-label="Close">&times;</button>
+				<button type="button" class="lightbox-prev" aria-label="Previous image">&lsaquo;</button>
+				<figure class="lightbox-figure">
+					<img class="lightbox-image" alt="" />
+					<figcaption class="lightbox-caption"></figcaption>
+				</figure>
+				<button type="button" class="lightbox-next" aria-label="Next image">&rsaquo;</button>
+				<p class="lightbox-counter" aria-live="polite"></p>
+			`;
+			
+			lightbox.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+			lightbox.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.index - 1));
+			lightbox.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.index + 1));
+			
+			// Clicking the backdrop (not the image) closes
+			lightbox.addEventListener('click', (e) => {
+				if (e.target === lightbox) this.close();
+			});
+			
+			lightbox.addEventListener('keydown', (e) => {
+				if (e.key === 'Escape') {
+					this.close();
+				} else if (e.key === 'ArrowLeft') {
+					this.show(this.index - 1);
+				} else if (e.key === 'ArrowRight') {
+					this.show(this.index + 1);
+				} else if (e.key === 'Tab') {
+					// Keep focus inside the dialog
+					const buttons = Array.from(lightbox.querySelectorAll('button')).filter(button => !button.hidden);
+					const first = buttons[0];
+					const last = buttons[buttons.length - 1];
+					if (e.shiftKey && document.activeElement === first) {
+						e.preventDefault();
+						last.focus();
+					} else if (!e.shiftKey && document.activeElement === last) {
+						e.preventDefault();
+						first.focus();
+					}
+				}
+			});
+			
+			// Horizontal swipes page through images on touch devices
+			let touchStart = null;
+			lightbox.addEventListener('touchstart', (e) => {
+				touchStart = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+			}, { passive: true });
+			lightbox.addEventListener('touchend', (e) => {
+				if (!touchStart) return;
+				const dx = e.changedTouches[0].clientX - touchStart.x;
+				const dy = e.changedTouches[0].clientY - touchStart.y;
+				touchStart = null;
+				if (Math.abs(dx) >= CONFIG.GALLERY_SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+					this.show(this.index + (dx < 0 ? 1 : -1));
+				}
+			});
+			
+			document.body.appendChild(lightbox);
+			this.lightbox = lightbox;
+			return lightbox;
+		},
+
+		/**
+		 * Open the lightbox at an image, remembering what to return focus to
+		 */
+		open: function(index, opener) {
+			const lightbox = this.createLightbox();
+			this.opener = opener || document.activeElement;
+			lightbox.hidden = false;
+			document.body.classList.add('lightbox-open');
+			this.show(index);
+			lightbox.querySelector('.lightbox-close').focus();
+		},
+
+		close: function() {
+			if (!this.lightbox || this.lightbox.hidden) return;
+			this.lightbox.hidden = true;
+			document.body.classList.remove('lightbox-open');
+			if (this.opener && typeof this.opener.focus === 'function') {
+				this.opener.focus();
+			}
+		},
+
+		/**
+		 * Show an image (wrapping around); the full-size image only loads here
+		 */
+		show: function(index) {
+			const count = this.images.length;
+			if (!this.lightbox || count === 0) return;
+			this.index = ((index % count) + count) % count;
+			
+			const image = this.images[this.index];
+			const element = this.lightbox.querySelector('.lightbox-image');
+			const fallbackImage = getImagePath('images/default-blog.jpg');
+			
+			element.removeAttribute('srcset');
+			element.onerror = function() {
+				this.onerror = null; // Prevent infinite loop
+				this.removeAttribute('srcset');
+				this.src = fallbackImage;
+			};
+			if (image.srcset) {
+				element.srcset = image.srcset;
+				element.sizes = CONFIG.IMAGE_SIZES.lightbox;
+			}
+			element.src = Sanitizer.isSafeUrl(image.src) ? image.src : fallbackImage;
+			element.alt = this.altText(this.index);
+			
+			const caption = this.lightbox.querySelector('.lightbox-caption');
+			caption.textContent = image.caption || '';
+			caption.hidden = !image.caption;
+			this.lightbox.querySelector('.lightbox-counter').textContent = `${this.index + 1} / ${count}`;
+			this.lightbox.querySelector('.lightbox-prev').hidden = count < 2;
+			this.lightbox.querySelector('.lightbox-next').hidden = count < 2;
+		}
+	};
+
+	// Search functionality (ranked, typo-tolerant - see search-index.js)
 	const Search = {
+		index: null,
+
 		init: function() {
 			const searchForm = document.getElementById('blog-search-form');
 			const searchInput = document.getElementById('search-query');
 			
 			if (searchForm && searchInput) {
-				searchForm.addEventListener('submit', async function(e) {
+				searchForm.addEventListener('submit', function(e) {
 					e.preventDefault();
-					const query = searchInput.value.trim().toLowerCase();
+					const query = searchInput.value.trim();
 					
 					if (!query) return;
 					
-					try {
-						const allPosts = await api.fetchPosts();
-						const validPosts = api.filterPosts(allPosts);
-						
-						// Filter posts by search query
-						const filteredPosts = validPosts.filter(post => {
-							const title = utils.getTitle(post).toLowerCase();
-							const content = post.idea.toLowerCase();
-							return title.includes(query) || content.includes(query);
-						});
-						
-						ui.renderPosts(filteredPosts);
-					} catch (error) {
-						console.error('Search error:', error);
+					Search.submit(query);
+				});
+			}
+			
+			// "Did you mean" and "clear search" links in the search status
+			document.addEventListener('click', function(e) {
+				const suggestionLink = e.target.closest('a[data-search-suggestion]');
+				const clearLink = e.target.closest('a[data-search-clear]');
+				
+				if (suggestionLink) {
+					e.preventDefault();
+					const suggestion = suggestionLink.getAttribute('data-search-suggestion');
+					if (searchInput) searchInput.value = suggestion;
+					Search.submit(suggestion);
+				} else if (clearLink) {
+					e.preventDefault();
+					if (searchInput) searchInput.value = '';
+					Search.clear();
+				}
+			});
+		},
+
+		/**
+		 * Build the index once per page (reusing this session's cached copy when posts are unchanged)
+		 */
+		getIndex: async function() {
+			if (this.index) return this.index;
+			
+			let posts = unfilteredPosts;
+			if (posts.length === 0) {
+				posts = api.filterPosts(await api.getPosts());
+			}
+			
+			const docs = posts.map(post => {
+				const id = utils.getPostId(post);
+				postsById.set(id, post);
+				return {
+					id: id,
+					title: utils.getTitle(post),
+					body: window.BlogMarkdown.toPlainText(post.idea)
+				};
+			});
+			
+			this.index = window.BlogSearchIndex.load(docs);
+			return this.index;
+		},
+
+		/**
+		 * Start a new search as its own history entry (results replace any tag/category filter)
+		 */
+		submit: function(query) {
+			filters.write(Object.assign(filters.read(), { q: query, tag: '', category: '', author: '', year: '', month: '', view: '', page: 1 }));
+			return this.run(query);
+		},
+
+		/**
+		 * Run a query and render ranked, highlighted results
+		 */
+		run: async function(query, page = 1) {
+			try {
+				const index = await this.getIndex();
+				const results = index.search(query);
+				const suggestion = index.suggest(query);
+				
+				activeSearch = {
+					query: query,
+					index: index,
+					matches: new Map(results.map(result => [result.id, result]))
+				};
+				
+				ui.renderSearchStatus(query, results.length, suggestion);
+				ui.renderPosts(results.map(result => postsById.get(result.id)).filter(Boolean), page);
+			} catch (error) {
+				console.error('Search error:', error);
+			}
+		},
+
+		/**
+		 * Leave search results and return to the (filtered) index
+		 */
+		clear: function() {
+			const state = Object.assign(filters.read(), { q: '', page: 1 });
+			filters.write(state);
+			activeSearch = null;
+			ui.renderSearchStatus('');
+			if (unfilteredPosts.length > 0) {
+				ui.renderFiltered(state);
+			}
+		}
+	};
+
+	// Tag/category filtering
+	const Filters = {
+		init: function() {
+			if (!document.getElementById('blog-posts-grid')) return;
+			
+			scrollState.init();
+			
+			// Tag chips, sidebar categories, bylines and archive links filter in place instead of reloading
+			document.addEventListener('click', function(e) {
+				const link = e.target.closest('a[data-tag], a[data-category], a[data-author], a[data-archive]');
+				if (!link) return;
+				
+				e.preventDefault();
+				const state = filters.read();
+				if (link.hasAttribute('data-tag')) {
+					state.tag = link.getAttribute('data-tag');
+				} else if (link.hasAttribute('data-author')) {
+					state.author = link.getAttribute('data-author');
+				} else if (link.hasAttribute('data-archive')) {
+					// 'all' for the full archive, '2025' or '2025-03' for a period, '' back to the grid
+					const period = link.getAttribute('data-archive');
+					const [year, month] = period === 'all' ? [] : period.split('-');
+					state.view = period === 'all' ? 'archive' : '';
+					state.year = year || '';
+					state.month = month || '';
+				} else {
+					const category = link.getAttribute('data-category');
+					state.category = category === 'all' ? '' : category;
+					if (category === 'all') state.tag = '';
+				}
+				state.q = '';
+				state.page = 1;
+				
+				filters.write(state);
+				if (unfilteredPosts.length > 0) {
+					ui.renderFiltered(state);
+				}
+			});
+			
+			// Newest/oldest ordering
+			const sortSelect = document.getElementById('blog-sort');
+			if (sortSelect) {
+				sortSelect.addEventListener('change', function() {
+					const state = Object.assign(filters.read(), { sort: sortSelect.value, page: 1 });
+					filters.write(state);
+					if (unfilteredPosts.length > 0) {
+						ui.renderView(state);
 					}
 				});
 			}
+			
+			// Back/forward restores the exact view: search, filters and page
+			window.addEventListener('popstate', function() {
+				if (unfilteredPosts.length > 0) {
+					ui.renderView(filters.read()).then(() => scrollState.restore());
+				}
+			});
 		}
 	};
 
+	// Node build scripts (feeds, prerendering) only need the data helpers
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = { CONFIG: CONFIG, utils: utils, api: api, ui: ui, dataSources: dataSources, related: related, archive: archive, filters: filters, postIndex: postIndex, slugRedirects: slugRedirects };
+		return;
+	}
+
 	// Initialize when DOM is ready
 	if (document.readyState === 'loading') {
 		document.addEventListener('DOMContentLoaded', function() {
 			BlogLoader.init();
 			Search.init();
+			Filters.init();
 		});
 	} else {
 		BlogLoader.init();
 		Search.init();
+		Filters.init();
 	}
 
 	// Export for global access
+	window.BlogConfig = CONFIG;
 	window.BlogLoader = BlogLoader;
 	window.BlogUtils = utils;
+	window.BlogUI = ui;
+	window.BlogAPI = api;
+	window.BlogDataSources = dataSources;
+	window.BlogPostNavigation = PostNavigation;
+	window.BlogPostOutline = PostOutline;
+	window.BlogReadingProgress = ReadingProgress;
+	window.BlogPostGallery = PostGallery;
+	window.BlogPreview = preview;
 
-})();
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -287,9 +287,14 @@ class ChatWidget {
         
         messageElement.className = `message ${sender}-message ${isError ? 'error-message' : ''}`;
         
+        // User input is shown as text; bot HTML is reduced to the sanitizer allowlist
+        const safeContent = sender === 'user'
+            ? window.Sanitizer.escapeHtml(content)
+            : window.Sanitizer.sanitizeHtml(content);
+        
         const messageContent = `
             <div class="message-content">
-                ${content}
+                ${safeContent}
                 ${sender === 'bot' && options.suggestions ? this.createSuggestions(options.suggestions) : ''}
             </div>
             <div class="message-time">${this.formatTime(new Date(timestamp))}</div>
@@ -300,6 +305,10 @@ class ChatWidget {
 
         messageElement.innerHTML = messageContent;
 
+        messageElement.querySelectorAll('.suggestion-btn').forEach(button => {
+            button.addEventListener('click', () => this.selectSuggestion(button.dataset.suggestion));
+        });
+
         // Add animation
         messageElement.style.opacity = '0';
         messageElement.style.transform = 'translateY(10px)';
@@ -341,7 +350,7 @@ class ChatWidget {
         if (!suggestions || suggestions.length === 0) return '';
 
         const suggestionsHtml = suggestions.map(suggestion => 
-            `<button class="suggestion-btn" onclick="chatWidget.selectSuggestion('${suggestion}')">${suggestion}</button>`
+            `<button class="suggestion-btn" data-suggestion="${window.Sanitizer.escapeHtml(suggestion)}">${window.Sanitizer.escapeHtml(suggestion)}</button>`
         ).join('');
 
         return `<div class="message-suggestions">${suggestionsHtml}</div>`;
@@ -0,0 +1,658 @@
+/**
+ * Comments.js - Comments and Reactions for Blog Posts
+ * Threaded comments, emoji reactions and a moderation queue behind a pluggable store:
+ * createWorkerStore talks to the blog Worker API, createLocalStore keeps everything in
+ * memory (optionally mirrored to localStorage) for development and tests
+ * Requires sanitize.js
+ */
+
+(function(root) {
+	'use strict';
+
+	// Shared escaping (sanitize.js)
+	const Sanitizer = root.Sanitizer;
+
+	const CONFIG = {
+		REACTIONS: ['👍', '❤️', '🎉', '💡', '🤔'],
+		MAX_AUTHOR_LENGTH: 80,
+		MAX_BODY_LENGTH: 2000,
+		MAX_DEPTH: 3, // Replies nest this deep; deeper replies are listed under the last level
+		POST_TARGET: 'post', // Reaction target ID for the post itself
+		REACTED_KEY: 'blog_reactions_given', // localStorage: reactions this browser has given
+		LOCAL_STORE_KEY: 'blog_comments_local',
+		MODERATOR_ROLES: ['moderator', 'admin'] // /api/auth/me user.role or user.roles allowed to moderate
+	};
+
+	/*
+	 * Store interface. Every store implements these (all return promises):
+	 *
+	 *   list(postId)                          -> { comments: [Comment], reactions: { [targetId]: { [emoji]: count } } }
+	 *                                            approved comments only
+	 *   addComment(postId, { parentId, author, body })
+	 *                                         -> Comment, 'pending' until a moderator approves it
+	 *   react(postId, targetId, emoji, delta) -> { [emoji]: count } for the target, never below zero
+	 *                                            (delta is 1, or -1 only for a reaction this browser gave)
+	 *   listPending()                         -> [Comment] awaiting moderation (moderators only)
+	 *   moderate(commentId, action)           -> Comment, action 'approve' or 'reject' (moderators only)
+	 *   canModerate()                         -> whether to offer the moderation queue
+	 *
+	 * Comment: { id, postId, parentId, author, body, createdAt (ISO 8601), status: 'pending' | 'approved' | 'rejected' }
+	 */
+
+	// Errors whose message can be shown to the reader as-is
+	const invalid = message => Object.assign(new Error(message), { invalid: true });
+
+	/**
+	 * Trim and check a new comment, throwing an invalid() error when it can't be posted
+	 */
+	const validateComment = function(input) {
+		const author = String(input.author || '').trim();
+		const body = String(input.body || '').trim();
+
+		if (!author) throw invalid('Please enter your name.');
+		if (!body) throw invalid('Please write a comment.');
+		if (author.length > CONFIG.MAX_AUTHOR_LENGTH) {
+			throw invalid(`Names are limited to ${CONFIG.MAX_AUTHOR_LENGTH} characters.`);
+		}
+		if (body.length > CONFIG.MAX_BODY_LENGTH) {
+			throw invalid(`Comments are limited to ${CONFIG.MAX_BODY_LENGTH} characters.`);
+		}
+
+		return { parentId: input.parentId || null, author: author, body: body };
+	};
+
+	// Reactions this browser has given, so a second click takes the reaction back
+	const reacted = {
+		key: function(postId, targetId, emoji) {
+			return `${postId}:${targetId}:${emoji}`;
+		},
+
+		load: function() {
+			try {
+				return JSON.parse(localStorage.getItem(CONFIG.REACTED_KEY) || '{}');
+			} catch (e) {
+				return {};
+			}
+		},
+
+		has: function(key) {
+			return this.load()[key] === true;
+		},
+
+		toggle: function(key) {
+			const given = this.load();
+			if (given[key]) {
+				delete given[key];
+			} else {
+				given[key] = true;
+			}
+			try {
+				localStorage.setItem(CONFIG.REACTED_KEY, JSON.stringify(given));
+			} catch (e) {
+				console.error('Error storing reactions:', e);
+			}
+			return given[key] === true;
+		}
+	};
+
+	/**
+	 * Normalise a reaction delta: anonymous visitors may only take back a reaction this browser gave
+	 */
+	const checkReaction = function(postId, targetId, emoji, delta) {
+		if (delta >= 0) return 1;
+		if (!reacted.has(reacted.key(postId, targetId, emoji))) {
+			throw invalid('You can only remove a reaction you added.');
+		}
+		return -1;
+	};
+
+	// Reaction counts never go below zero, whatever the backend returns
+	const clampCounts = function(counts) {
+		const clamped = {};
+		Object.keys(counts || {}).forEach(emoji => {
+			clamped[emoji] = Math.max(0, Math.floor(Number(counts[emoji]) || 0));
+		});
+		return clamped;
+	};
+
+	const Stores = {
+		/**
+		 * Store backed by the blog Worker:
+		 *   GET  /comments?post=<id>         -> { comments, reactions }
+		 *   POST /comments                   { postId, parentId, author, body } -> { comment }
+		 *   POST /reactions                  { postId, targetId, emoji, delta } -> { reactions }
+		 *   GET  /comments/pending           -> { comments }   (Authorization: Bearer <auth_token>)
+		 *   POST /comments/<id>/moderate     { action } -> { comment }   (Authorization: Bearer <auth_token>)
+		 * options.authUrl is the auth API whose /api/auth/me tells whether the signed-in user is a moderator
+		 */
+		createWorkerStore: function(options) {
+			const baseUrl = String(options.url || '').replace(/\/+$/, '');
+			const authToken = function() {
+				return options.token || (typeof localStorage !== 'undefined' ? localStorage.getItem('auth_token') : null);
+			};
+
+			const request = async function(path, init = {}) {
+				const headers = {};
+				if (init.body) headers['Content-Type'] = 'application/json';
+				if (init.auth) headers['Authorization'] = `Bearer ${authToken()}`;
+
+				const response = await fetch(`${baseUrl}${path}`, {
+					method: init.method || 'GET',
+					headers: headers,
+					body: init.body ? JSON.stringify(init.body) : undefined
+				});
+				if (!response.ok) {
+					const error = new Error(`Comments API error: ${response.status}`);
+					error.status = response.status;
+					throw error;
+				}
+				return response.json();
+			};
+
+			return {
+				list: async function(postId) {
+					const data = await request(`/comments?post=${encodeURIComponent(postId)}`);
+					const reactions = {};
+					Object.keys(data.reactions || {}).forEach(targetId => {
+						reactions[targetId] = clampCounts(data.reactions[targetId]);
+					});
+					return { comments: data.comments || [], reactions: reactions };
+				},
+
+				addComment: async function(postId, input) {
+					const comment = validateComment(input);
+					const data = await request('/comments', {
+						method: 'POST',
+						body: Object.assign({ postId: postId }, comment)
+					});
+					return data.comment;
+				},
+
+				react: async function(postId, targetId, emoji, delta) {
+					const data = await request('/reactions', {
+						method: 'POST',
+						body: { postId: postId, targetId: targetId, emoji: emoji, delta: checkReaction(postId, targetId, emoji, delta) }
+					});
+					return clampCounts(data.reactions);
+				},
+
+				listPending: async function() {
+					const data = await request('/comments/pending', { auth: true });
+					return data.comments || [];
+				},
+
+				moderate: async function(commentId, action) {
+					const data = await request(`/comments/${encodeURIComponent(commentId)}/moderate`, {
+						method: 'POST',
+						auth: true,
+						body: { action: action }
+					});
+					return data.comment;
+				},
+
+				// The Worker has the final say; the queue is only offered to users with a moderator role
+				canModerate: async function() {
+					const token = authToken();
+					if (!token || !options.authUrl) return false;
+
+					const response = await fetch(`${String(options.authUrl).replace(/\/+$/, '')}/api/auth/me`, {
+						headers: { 'Authorization': `Bearer ${token}` }
+					});
+					if (!response.ok) return false;
+
+					const user = (await response.json()).user;
+					const roles = user ? [].concat(user.roles || [], user.role || []) : [];
+					return roles.some(role => CONFIG.MODERATOR_ROLES.includes(String(role).toLowerCase()));
+				}
+			};
+		},
+
+		/**
+		 * In-memory store for development and tests. Pass storage (e.g. localStorage) to keep
+		 * data across reloads, autoApprove to skip the queue, moderator: false to hide it
+		 */
+		createLocalStore: function(options = {}) {
+			const storage = options.storage || null;
+			let state = { comments: [], reactions: {} };
+
+			if (storage) {
+				try {
+					state = JSON.parse(storage.getItem(CONFIG.LOCAL_STORE_KEY)) || state;
+				} catch (e) {
+					console.warn('Error reading local comments:', e);
+				}
+			}
+
+			const save = function() {
+				if (!storage) return;
+				try {
+					storage.setItem(CONFIG.LOCAL_STORE_KEY, JSON.stringify(state));
+				} catch (e) {
+					console.error('Error storing local comments:', e);
+				}
+			};
+
+			// Callers get copies so they can't change the store behind its back
+			const copy = value => JSON.parse(JSON.stringify(value));
+
+			return {
+				list: async function(postId) {
+					return copy({
+						comments: state.comments.filter(comment => comment.postId === postId && comment.status === 'approved'),
+						reactions: state.reactions[postId] || {}
+					});
+				},
+
+				addComment: async function(postId, input) {
+					const comment = Object.assign({
+						id: `c${Date.now().toString(36)}${state.comments.length.toString(36)}`,
+						postId: postId,
+						createdAt: new Date().toISOString(),
+						status: options.autoApprove ? 'approved' : 'pending'
+					}, validateComment(input));
+					state.comments.push(comment);
+					save();
+					return copy(comment);
+				},
+
+				react: async function(postId, targetId, emoji, delta) {
+					const step = checkReaction(postId, targetId, emoji, delta);
+					const targets = state.reactions[postId] = state.reactions[postId] || {};
+					const counts = targets[targetId] = targets[targetId] || {};
+					counts[emoji] = Math.max(0, (counts[emoji] || 0) + step);
+					save();
+					return copy(counts);
+				},
+
+				listPending: async function() {
+					return copy(state.comments.filter(comment => comment.status === 'pending'));
+				},
+
+				moderate: async function(commentId, action) {
+					const comment = state.comments.find(other => other.id === commentId);
+					if (!comment) throw new Error(`Unknown comment: ${commentId}`);
+					comment.status = action === 'approve' ? 'approved' : 'rejected';
+					save();
+					return copy(comment);
+				},
+
+				canModerate: async function() {
+					return options.moderator !== false;
+				}
+			};
+		}
+	};
+
+	// The comments/reactions component on the post page
+	const Comments = {
+		container: null,
+		store: null,
+		postId: null,
+		comments: [],
+		reactions: {},
+		pending: [],
+		moderator: false,
+		unavailable: false, // The comments couldn't be loaded; shown instead of an empty thread
+
+		/**
+		 * Render reactions and comments for a post into a container
+		 */
+		mount: async function(container, options) {
+			if (!container || !options || !options.postId) return;
+
+			this.container = container;
+			this.postId = String(options.postId);
+			this.store = options.store || this.defaultStore();
+
+			if (!container.dataset.bound) {
+				container.dataset.bound = 'true';
+				container.addEventListener('click', (e) => this.handleClick(e));
+				container.addEventListener('submit', (e) => this.handleSubmit(e));
+			}
+
+			this.unavailable = false;
+			try {
+				const data = await this.store.list(this.postId);
+				this.comments = data.comments || [];
+				this.reactions = data.reactions || {};
+			} catch (error) {
+				console.warn('Could not load comments:', error);
+				this.comments = [];
+				this.reactions = {};
+				this.unavailable = true;
+			}
+
+			this.pending = [];
+			this.moderator = false;
+			try {
+				if (await this.store.canModerate()) {
+					this.pending = await this.store.listPending();
+					this.moderator = true;
+				}
+			} catch (error) {
+				// Not a moderator after all (e.g. the login expired)
+				this.pending = [];
+			}
+
+			this.render();
+		},
+
+		/**
+		 * Worker store for the live site; set window.BLOG_COMMENTS_STORE = 'local' to develop offline
+		 */
+		defaultStore: function() {
+			if (root.BLOG_COMMENTS_STORE === 'local') {
+				return Stores.createLocalStore({ storage: root.localStorage, autoApprove: false });
+			}
+			const config = root.BlogConfig;
+			return Stores.createWorkerStore({
+				url: config ? config.DATA_SOURCES.worker.url : '',
+				authUrl: config ? config.PREVIEW.apiUrl : ''
+			});
+		},
+
+		render: function() {
+			if (this.unavailable) {
+				this.container.innerHTML = `
+					<h3>Responses</h3>
+					<p class="comments-status comments-error" role="alert">Comments could not be loaded right now.</p>
+					<ul class="actions"><li><button type="button" class="button small" data-retry-comments>Try again</button></li></ul>
+				`;
+				this.container.style.display = 'block';
+				return;
+			}
+
+			const count = this.comments.length;
+			this.container.innerHTML = `
+				<h3>Responses${count > 0 ? ` (${count})` : ''}</h3>
+				<p class="comments-status" role="alert"></p>
+				${this.reactionBar(CONFIG.POST_TARGET, 'post-reactions')}
+				${this.moderationQueue()}
+				<ol class="comment-list">${this.thread(null, 0)}</ol>
+				${count === 0 ? '<p class="comments-empty">No comments yet. Start the conversation!</p>' : ''}
+				${this.form(null)}
+			`;
+			this.container.style.display = 'block';
+		},
+
+		/**
+		 * Replies to parentId (null for top level); comments whose parent isn't shown go top level
+		 */
+		children: function(parentId) {
+			const shown = new Set(this.comments.map(comment => comment.id));
+			return this.comments
+				.filter(comment => parentId === null
+					? !comment.parentId || !shown.has(comment.parentId)
+					: comment.parentId === parentId)
+				.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+		},
+
+		/**
+		 * Comment list items for a level of the thread
+		 */
+		thread: function(parentId, depth) {
+			return this.children(parentId).map(comment => {
+				const nested = depth + 1 < CONFIG.MAX_DEPTH;
+				const replies = nested
+					? this.thread(comment.id, depth + 1)
+					: this.flatten(comment.id);
+				return `
+					<li class="comment" id="comment-${Sanitizer.escapeHtml(comment.id)}">
+						${this.commentBody(comment)}
+						${replies ? `<ol class="comment-replies">${replies}</ol>` : ''}
+					</li>
+				`;
+			}).join('');
+		},
+
+		/**
+		 * All replies below the deepest level, oldest first, in one list
+		 */
+		flatten: function(parentId) {
+			return this.children(parentId).map(comment => `
+				<li class="comment" id="comment-${Sanitizer.escapeHtml(comment.id)}">
+					${this.commentBody(comment)}
+				</li>
+				${this.flatten(comment.id)}
+			`).join('');
+		},
+
+		commentBody: function(comment) {
+			const id = Sanitizer.escapeHtml(comment.id);
+			const date = new Date(comment.createdAt);
+			const formatted = root.BlogUtils ? root.BlogUtils.formatDate(date) : date.toLocaleDateString();
+			return `
+				<article class="comment-body">
+					<header>
+						<strong class="comment-author">${Sanitizer.escapeHtml(comment.author)}</strong>
+						<time datetime="${Sanitizer.escapeHtml(comment.createdAt)}">${Sanitizer.escapeHtml(formatted)}</time>
+					</header>
+					<p>${Sanitizer.escapeHtml(comment.body).replace(/\n/g, '<br />')}</p>
+					<footer>
+						${this.reactionBar(comment.id, 'comment-reactions')}
+						<button type="button" class="comment-reply" data-reply="${id}">Reply</button>
+					</footer>
+					<div class="comment-reply-slot" data-reply-slot="${id}"></div>
+				</article>
+			`;
+		},
+
+		/**
+		 * Emoji buttons with counts; aria-pressed marks the ones this browser gave
+		 */
+		reactionBar: function(targetId, className) {
+			const counts = this.reactions[targetId] || {};
+			const buttons = CONFIG.REACTIONS.map(emoji => {
+				const given = reacted.has(this.reactionKey(targetId, emoji));
+				const count = counts[emoji] || 0;
+				return `<button type="button" class="reaction${given ? ' active' : ''}" data-react="${emoji}" data-target="${Sanitizer.escapeHtml(targetId)}" aria-pressed="${given}" aria-label="${emoji} ${count}">${emoji}${count > 0 ? ` <span>${count}</span>` : ''}</button>`;
+			}).join('');
+			return `<div class="reactions ${className}" role="group" aria-label="Reactions">${buttons}</div>`;
+		},
+
+		reactionKey: function(targetId, emoji) {
+			return reacted.key(this.postId, targetId, emoji);
+		},
+
+		/**
+		 * Tell the reader a reaction or moderation call failed (form errors show in the form)
+		 */
+		showError: function(message) {
+			const status = this.container.querySelector('.comments-status');
+			if (status) {
+				status.textContent = message;
+				status.classList.add('comments-error');
+			}
+		},
+
+		/**
+		 * Comment form; the website field is a honeypot that people never see or fill in
+		 */
+		form: function(parentId) {
+			const suffix = parentId ? `-${Sanitizer.escapeHtml(parentId)}` : '';
+			return `
+				<form class="comment-form" data-parent="${parentId ? Sanitizer.escapeHtml(parentId) : ''}">
+					${parentId ? '' : '<h4>Leave a comment</h4>'}
+					<label for="comment-author${suffix}">Name</label>
+					<input type="text" id="comment-author${suffix}" name="author" maxlength="${CONFIG.MAX_AUTHOR_LENGTH}" required />
+					<label for="comment-body${suffix}">Comment</label>
+					<textarea id="comment-body${suffix}" name="body" rows="${parentId ? 3 : 5}" maxlength="${CONFIG.MAX_BODY_LENGTH}" required></textarea>
+					<input type="text" name="website" class="comment-honeypot" tabindex="-1" autocomplete="off" aria-hidden="true" />
+					<ul class="actions">
+						<li><button type="submit" class="button primary small">${parentId ? 'Post reply' : 'Post comment'}</button></li>
+						${parentId ? '<li><button type="button" class="button small" data-cancel-reply>Cancel</button></li>' : ''}
+					</ul>
+					<p class="comment-form-status" role="status"></p>
+				</form>
+			`;
+		},
+
+		moderationQueue: function() {
+			if (this.pending.length === 0) return '';
+			const items = this.pending.map(comment => {
+				const id = Sanitizer.escapeHtml(comment.id);
+				return `
+					<li>
+						<strong>${Sanitizer.escapeHtml(comment.author)}</strong>
+						<span class="comment-moderation-post">on ${Sanitizer.escapeHtml(comment.postId)}</span>
+						<p>${Sanitizer.escapeHtml(comment.body).replace(/\n/g, '<br />')}</p>
+						<button type="button" class="button small primary" data-moderate="approve" data-comment="${id}">Approve</button>
+						<button type="button" class="button small" data-moderate="reject" data-comment="${id}">Reject</button>
+					</li>
+				`;
+			}).join('');
+			return `
+				<section class="comment-moderation" aria-label="Moderation queue">
+					<h4>Awaiting moderation (${this.pending.length})</h4>
+					<ul>${items}</ul>
+				</section>
+			`;
+		},
+
+		handleClick: function(e) {
+			if (e.target.closest('[data-retry-comments]')) {
+				this.mount(this.container, { postId: this.postId, store: this.store });
+				return;
+			}
+
+			const reactionButton = e.target.closest('[data-react]');
+			if (reactionButton) {
+				this.react(reactionButton.getAttribute('data-target'), reactionButton.getAttribute('data-react'));
+				return;
+			}
+
+			const replyButton = e.target.closest('[data-reply]');
+			if (replyButton) {
+				this.openReply(replyButton.getAttribute('data-reply'));
+				return;
+			}
+
+			const cancelButton = e.target.closest('[data-cancel-reply]');
+			if (cancelButton) {
+				cancelButton.closest('.comment-reply-slot').innerHTML = '';
+				return;
+			}
+
+			const moderateButton = e.target.closest('[data-moderate]');
+			if (moderateButton) {
+				this.moderate(moderateButton.getAttribute('data-comment'), moderateButton.getAttribute('data-moderate'));
+			}
+		},
+
+		openReply: function(commentId) {
+			const slot = Array.from(this.container.querySelectorAll('[data-reply-slot]'))
+				.find(element => element.getAttribute('data-reply-slot') === commentId);
+			if (!slot) return;
+			slot.innerHTML = this.form(commentId);
+			slot.querySelector('input[name="author"]').focus();
+		},
+
+		handleSubmit: async function(e) {
+			const form = e.target.closest('.comment-form');
+			if (!form) return;
+			e.preventDefault();
+
+			const status = form.querySelector('.comment-form-status');
+			const button = form.querySelector('button[type="submit"]');
+
+			// Bots fill in every field; quietly pretend it worked
+			if (form.elements.website.value) {
+				form.reset();
+				status.textContent = 'Thanks! Your comment is awaiting moderation.';
+				return;
+			}
+
+			button.disabled = true;
+			status.textContent = '';
+			try {
+				const comment = await this.store.addComment(this.postId, {
+					parentId: form.getAttribute('data-parent') || null,
+					author: form.elements.author.value,
+					body: form.elements.body.value
+				});
+
+				if (root.Analytics && typeof root.Analytics.track === 'function') {
+					root.Analytics.track('post_comment', { post_id: this.postId, reply: !!comment.parentId });
+				}
+
+				if (comment.status === 'approved') {
+					this.comments.push(comment);
+					this.render();
+					return;
+				}
+				if (this.moderator) {
+					this.pending.push(comment);
+					this.render();
+					return;
+				}
+				form.reset();
+				status.textContent = 'Thanks! Your comment is awaiting moderation.';
+			} catch (error) {
+				if (error.invalid) {
+					status.textContent = error.message;
+				} else {
+					console.warn('Could not post comment:', error);
+					status.textContent = 'Your comment could not be posted. Please try again later.';
+				}
+			} finally {
+				button.disabled = false;
+			}
+		},
+
+		react: async function(targetId, emoji) {
+			const key = this.reactionKey(targetId, emoji);
+			const delta = reacted.has(key) ? -1 : 1;
+			try {
+				this.reactions[targetId] = await this.store.react(this.postId, targetId, emoji, delta);
+				reacted.toggle(key);
+				if (delta > 0 && root.Analytics && typeof root.Analytics.track === 'function') {
+					root.Analytics.track('post_reaction', { post_id: this.postId, target: targetId, emoji: emoji });
+				}
+			} catch (error) {
+				console.warn('Could not save reaction:', error);
+				this.refreshReactions(targetId);
+				this.showError(error.invalid ? error.message : 'Your reaction could not be saved. Please try again later.');
+				return;
+			}
+			this.refreshReactions(targetId);
+		},
+
+		/**
+		 * Re-render one reaction bar in place so open reply forms keep their text
+		 */
+		refreshReactions: function(targetId) {
+			const bar = Array.from(this.container.querySelectorAll('.reactions'))
+				.find(element => element.querySelector(`[data-target]`).getAttribute('data-target') === targetId);
+			if (!bar) return;
+			const template = document.createElement('template');
+			template.innerHTML = this.reactionBar(targetId, targetId === CONFIG.POST_TARGET ? 'post-reactions' : 'comment-reactions').trim();
+			bar.replaceWith(template.content.firstChild);
+		},
+
+		moderate: async function(commentId, action) {
+			try {
+				const comment = await this.store.moderate(commentId, action);
+				this.pending = this.pending.filter(other => other.id !== commentId);
+				if (comment.status === 'approved' && comment.postId === this.postId) {
+					this.comments.push(comment);
+				}
+				this.render();
+			} catch (error) {
+				console.warn('Could not moderate comment:', error);
+				this.showError('The comment could not be moderated. Please try again.');
+			}
+		}
+	};
+
+	root.BlogComments = {
+		CONFIG: CONFIG,
+		mount: Comments.mount.bind(Comments),
+		createWorkerStore: Stores.createWorkerStore,
+		createLocalStore: Stores.createLocalStore
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = root.BlogComments;
+	}
+
+})(typeof window !== 'undefined' ? window : globalThis);
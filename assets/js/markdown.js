@@ -0,0 +1,489 @@
+/**
+ * Markdown.js - Markdown Renderer for Blog Posts
+ * Converts the Sheet's `idea` column (Markdown) to sanitized HTML
+ * Raw HTML in the source is always escaped; only renderer-generated tags are emitted
+ * Requires sanitize.js
+ */
+
+(function(root) {
+	'use strict';
+
+	const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+	const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+	// Syntax highlighting rules per language family
+	const HIGHLIGHT_LANGUAGES = {
+		js: {
+			comments: '\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\/',
+			keywords: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'yield']
+		},
+		python: {
+			comments: '#.*',
+			keywords: ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try', 'while', 'with', 'yield']
+		},
+		bash: {
+			comments: '#.*',
+			keywords: ['case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for', 'function', 'if', 'in', 'local', 'return', 'then', 'until', 'while']
+		},
+		c: {
+			comments: '\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\/',
+			keywords: ['auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'float', 'fn', 'for', 'func', 'go', 'if', 'impl', 'import', 'int', 'let', 'long', 'mut', 'namespace', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'static', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'use', 'var', 'void', 'while']
+		},
+		sql: {
+			comments: '--.*',
+			keywords: ['and', 'as', 'by', 'create', 'delete', 'desc', 'from', 'group', 'having', 'insert', 'into', 'join', 'left', 'limit', 'not', 'null', 'on', 'or', 'order', 'select', 'set', 'table', 'update', 'values', 'where']
+		}
+	};
+
+	const LANGUAGE_ALIASES = {
+		javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', json: 'js',
+		py: 'python',
+		sh: 'bash', shell: 'bash', zsh: 'bash', yaml: 'bash', yml: 'bash',
+		cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', java: 'c', go: 'c', rust: 'c', kotlin: 'c', swift: 'c'
+	};
+
+	// String helpers (escaping and URL policy come from the shared Sanitizer)
+	const helpers = {
+		escapeHtml: function(text) {
+			return root.Sanitizer.escapeHtml(text);
+		},
+
+		/**
+		 * Reverse escapeHtml (plus common named entities)
+		 */
+		unescapeHtml: function(text) {
+			return String(text)
+				.replace(/&lt;/g, '<')
+				.replace(/&gt;/g, '>')
+				.replace(/&quot;/g, '"')
+				.replace(/&#39;/g, '\'')
+				.replace(/&nbsp;/g, ' ')
+				.replace(/&amp;/g, '&');
+		},
+
+		/**
+		 * Return the (already escaped) URL if it is safe to emit, otherwise null
+		 */
+		sanitizeUrl: function(escapedUrl) {
+			return root.Sanitizer.isSafeUrl(this.unescapeHtml(escapedUrl)) ? escapedUrl : null;
+		}
+	};
+
+	// Markdown renderer
+	const Markdown = {
+		/**
+		 * Render Markdown source to sanitized HTML
+		 */
+		render: function(text) {
+			if (!text) return '';
+			this.headingIds = new Map();
+			const lines = String(text).replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+			return this.renderBlocks(lines);
+		},
+
+		/**
+		 * Render Markdown to plain text, one paragraph per block (for excerpts and search)
+		 */
+		toPlainText: function(text) {
+			return helpers.unescapeHtml(
+				this.render(text)
+					.replace(/<br\s*\/?>/g, '\n')
+					.replace(/<\/(td|th)>/g, ' ')
+					.replace(/<\/(p|h[1-6]|li|blockquote|pre|tr|table)>/g, '\n\n')
+					.replace(/<[^>]+>/g, '')
+			)
+				.replace(/[ \t]+\n/g, '\n')
+				.replace(/\n{3,}/g, '\n\n')
+				.trim();
+		},
+
+		/**
+		 * Plain text of the top-level paragraphs only (line breaks kept); headings, lists, quotes, code and tables are skipped
+		 */
+		toParagraphs: function(text) {
+			const html = this.render(text);
+			const tag = /<(\/?)(p|blockquote|ul|ol|pre|table)\b[^>]*>/g;
+			const paragraphs = [];
+			let depth = 0;
+			let start = -1;
+			let match;
+			while ((match = tag.exec(html))) {
+				const [, closing, name] = match;
+				if (name === 'p') {
+					if (depth !== 0) continue;
+					if (!closing) start = tag.lastIndex;
+					else if (start !== -1) {
+						paragraphs.push(html.slice(start, match.index));
+						start = -1;
+					}
+				} else {
+					depth += closing ? -1 : 1;
+				}
+			}
+			return paragraphs
+				.map(paragraph => helpers.unescapeHtml(paragraph.replace(/<br\s*\/?>/g, '\n').replace(/<[^>]+>/g, '')).replace(/[ \t]+/g, ' ').trim())
+				.filter(Boolean);
+		},
+
+		/**
+		 * Stable anchor ID from a heading's text ("Why RAG?" -> "why-rag"); repeats get -2, -3...
+		 */
+		headingId: function(headingHtml) {
+			const base = helpers.unescapeHtml(headingHtml.replace(/<[^>]+>/g, ''))
+				.toLowerCase()
+				.replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+				.replace(/^-+|-+$/g, '') || 'section';
+			
+			const count = (this.headingIds.get(base) || 0) + 1;
+			this.headingIds.set(base, count);
+			return helpers.escapeHtml(count === 1 ? base : `${base}-${count}`);
+		},
+
+		/**
+		 * Check whether the line at index starts a non-paragraph block
+		 */
+		startsBlock: function(lines, index) {
+			const line = lines[index];
+			return /^\s*(```|~~~)/.test(line) ||
+				/^\s{0,3}#{1,6}\s+/.test(line) ||
+				/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+				/^\s{0,3}>/.test(line) ||
+				LIST_ITEM_PATTERN.test(line) ||
+				this.isTableStart(lines, index);
+		},
+
+		/**
+		 * Render a list of lines as block-level HTML
+		 */
+		renderBlocks: function(lines) {
+			const html = [];
+			let i = 0;
+
+			while (i < lines.length) {
+				const line = lines[i];
+
+				if (!line.trim()) {
+					i++;
+					continue;
+				}
+
+				// Fenced code block
+				const fence = line.match(/^\s*(```|~~~)\s*([\w+#-]*)\s*$/);
+				if (fence) {
+					const code = [];
+					i++;
+					while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+						code.push(lines[i]);
+						i++;
+					}
+					i++;
+					html.push(this.renderCodeBlock(code.join('\n'), fence[2].toLowerCase()));
+					continue;
+				}
+
+				// ATX heading
+				const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+				if (heading) {
+					const level = heading[1].length;
+					const content = this.renderInline(heading[2]);
+					html.push(`<h${level} id="${this.headingId(content)}">${content}</h${level}>`);
+					i++;
+					continue;
+				}
+
+				// Horizontal rule
+				if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+					html.push('<hr />');
+					i++;
+					continue;
+				}
+
+				// Blockquote
+				if (/^\s{0,3}>/.test(line)) {
+					const quote = [];
+					while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+						quote.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+						i++;
+					}
+					html.push(`<blockquote>${this.renderBlocks(quote)}</blockquote>`);
+					continue;
+				}
+
+				// Table
+				if (this.isTableStart(lines, i)) {
+					i = this.renderTable(lines, i, html);
+					continue;
+				}
+
+				// List
+				if (LIST_ITEM_PATTERN.test(line)) {
+					i = this.renderList(lines, i, html);
+					continue;
+				}
+
+				// Paragraph - single newlines become line breaks
+				const paragraph = [line.trim()];
+				i++;
+				while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+					paragraph.push(lines[i].trim());
+					i++;
+				}
+				html.push(`<p>${paragraph.map(text => this.renderInline(text)).join('<br>')}</p>`);
+			}
+
+			return html.join('\n');
+		},
+
+		/**
+		 * Render a (possibly nested) list starting at index, returning the next index
+		 */
+		renderList: function(lines, start, html) {
+			const first = lines[start].match(LIST_ITEM_PATTERN);
+			const baseIndent = first[1].length;
+			const ordered = /\d/.test(first[2]);
+			const indentOf = line => line.match(/^\s*/)[0].length;
+			const isSibling = line => {
+				const match = line && line.match(LIST_ITEM_PATTERN);
+				return Boolean(match) && match[1].length === baseIndent && /\d/.test(match[2]) === ordered;
+			};
+
+			const items = [];
+			let i = start;
+
+			while (i < lines.length) {
+				const line = lines[i];
+
+				if (isSibling(line)) {
+					items.push([line.match(LIST_ITEM_PATTERN)[3]]);
+					i++;
+					continue;
+				}
+
+				if (!line.trim()) {
+					// Blank lines continue the list only if more item content follows
+					const next = lines[i + 1];
+					if (next && next.trim() && (indentOf(next) > baseIndent || isSibling(next))) {
+						items[items.length - 1].push('');
+						i++;
+						continue;
+					}
+					break;
+				}
+
+				if (indentOf(line) > baseIndent) {
+					items[items.length - 1].push(line.substring(Math.min(indentOf(line), baseIndent + 2)));
+					i++;
+					continue;
+				}
+
+				// Lazy paragraph continuation
+				if (!this.startsBlock(lines, i)) {
+					items[items.length - 1].push(line.trim());
+					i++;
+					continue;
+				}
+
+				break;
+			}
+
+			const tag = ordered ? 'ol' : 'ul';
+			const startNumber = parseInt(first[2], 10);
+			const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+			const itemsHTML = items.map(itemLines => {
+				let inner = this.renderBlocks(itemLines);
+				// Tight list items don't wrap their text in a paragraph
+				if (!itemLines.includes('')) {
+					inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+				}
+				return `<li>${inner}</li>`;
+			}).join('');
+
+			html.push(`<${tag}${startAttr}>${itemsHTML}</${tag}>`);
+			return i;
+		},
+
+		/**
+		 * Check for a GFM table (header row followed by a separator row)
+		 */
+		isTableStart: function(lines, index) {
+			const next = lines[index + 1];
+			return lines[index].includes('|') &&
+				Boolean(next) && next.includes('-') && next.includes('|') &&
+				TABLE_SEPARATOR_PATTERN.test(next);
+		},
+
+		/**
+		 * Split a table row into trimmed cells, honouring escaped pipes
+		 */
+		splitRow: function(line) {
+			return line.trim()
+				.replace(/^\|/, '')
+				.replace(/(^|[^\\])\|$/, '$1')
+				.split(/(?<!\\)\|/)
+				.map(cell => cell.replace(/\\\|/g, '|').trim());
+		},
+
+		/**
+		 * Render a table starting at index, returning the next index
+		 */
+		renderTable: function(lines, start, html) {
+			const headers = this.splitRow(lines[start]);
+			const aligns = this.splitRow(lines[start + 1]).map(cell => {
+				if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+				if (cell.endsWith(':')) return 'right';
+				if (cell.startsWith(':')) return 'left';
+				return '';
+			});
+			const cellHTML = (tag, text, column) => {
+				const align = aligns[column] ? ` style="text-align: ${aligns[column]};"` : '';
+				return `<${tag}${align}>${this.renderInline(text)}</${tag}>`;
+			};
+
+			let i = start + 2;
+			const rows = [];
+			while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+				const cells = this.splitRow(lines[i]);
+				rows.push(`<tr>${headers.map((header, column) => cellHTML('td', cells[column] || '', column)).join('')}</tr>`);
+				i++;
+			}
+
+			html.push(
+				'<div class="table-wrapper"><table>' +
+				`<thead><tr>${headers.map((header, column) => cellHTML('th', header, column)).join('')}</tr></thead>` +
+				`<tbody>${rows.join('')}</tbody>` +
+				'</table></div>'
+			);
+			return i;
+		},
+
+		/**
+		 * Render a fenced code block with syntax highlighting
+		 */
+		renderCodeBlock: function(code, lang) {
+			const classAttr = lang ? ` class="language-${helpers.escapeHtml(lang)}"` : '';
+			return `<pre><code${classAttr}>${this.highlight(code, lang)}</code></pre>`;
+		},
+
+		/**
+		 * Highlight code as escaped HTML with token spans
+		 */
+		highlight: function(code, lang) {
+			const rules = HIGHLIGHT_LANGUAGES[LANGUAGE_ALIASES[lang] || lang];
+			if (!rules) return helpers.escapeHtml(code);
+
+			const keywords = new Set(rules.keywords);
+			const tokenPattern = new RegExp(
+				`(${rules.comments})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`,
+				'gm'
+			);
+
+			let html = '';
+			let lastIndex = 0;
+			let match;
+
+			while ((match = tokenPattern.exec(code)) !== null) {
+				html += helpers.escapeHtml(code.slice(lastIndex, match.index));
+				const token = helpers.escapeHtml(match[0]);
+
+				if (match[1]) {
+					html += `<span class="token comment">${token}</span>`;
+				} else if (match[2]) {
+					html += `<span class="token string">${token}</span>`;
+				} else if (match[3]) {
+					html += `<span class="token number">${token}</span>`;
+				} else if (keywords.has(match[4]) || keywords.has(match[4].toLowerCase())) {
+					html += `<span class="token keyword">${token}</span>`;
+				} else {
+					html += token;
+				}
+
+				lastIndex = tokenPattern.lastIndex;
+			}
+
+			return html + helpers.escapeHtml(code.slice(lastIndex));
+		},
+
+		/**
+		 * Render inline Markdown (code, images, links, emphasis) in a line of text
+		 */
+		renderInline: function(text) {
+			const stash = [];
+			const hold = html => {
+				stash.push(html);
+				return `\u0000${stash.length - 1}\u0000`;
+			};
+
+			// Code spans are literal - pull them out before anything else
+			let html = String(text).replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+				return hold(`<code>${helpers.escapeHtml(code.trim())}</code>`);
+			});
+
+			html = helpers.escapeHtml(html);
+
+			// Images
+			html = html.replace(/!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, alt, src, title) => {
+				const url = helpers.sanitizeUrl(src);
+				if (!url) return alt;
+				const titleAttr = title ? ` title="${title}"` : '';
+				return hold(`<img src="${url}" alt="${alt}"${titleAttr} loading="lazy" />`);
+			});
+
+			// Links
+			html = html.replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, label, href, title) => {
+				const url = helpers.sanitizeUrl(href);
+				if (!url) return label;
+				return hold(this.renderLink(url, this.renderEmphasis(label), title));
+			});
+
+			// Autolinks: <https://...> and bare URLs
+			html = html.replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (match, url) => hold(this.renderLink(url, url)));
+			html = html.replace(/(^|[\s(])(https?:\/\/[^\s<\u0000]+[^\s<\u0000.,;:!?)\]'"])/g, (match, before, url) => {
+				return before + hold(this.renderLink(url, url));
+			});
+
+			html = this.renderEmphasis(html);
+
+			// Restore held fragments (they may nest)
+			while (/\u0000\d+\u0000/.test(html)) {
+				html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+			}
+
+			return html;
+		},
+
+		/**
+		 * Build an anchor; external links open in a new tab
+		 */
+		renderLink: function(url, label, title) {
+			const titleAttr = title ? ` title="${title}"` : '';
+			const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener"' : '';
+			return `<a href="${url}"${titleAttr}${external}>${label}</a>`;
+		},
+
+		/**
+		 * Apply bold, italic and strikethrough to escaped text
+		 */
+		renderEmphasis: function(html) {
+			return html
+				.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+				.replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+				.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+				.replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+				.replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+		}
+	};
+
+	// Export for global access (and for Node build scripts)
+	root.BlogMarkdown = {
+		render: Markdown.render.bind(Markdown),
+		toPlainText: Markdown.toPlainText.bind(Markdown),
+		toParagraphs: Markdown.toParagraphs.bind(Markdown),
+		highlight: Markdown.highlight.bind(Markdown),
+		escapeHtml: helpers.escapeHtml
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = root.BlogMarkdown;
+	}
+
+})(typeof window !== 'undefined' ? window : globalThis);
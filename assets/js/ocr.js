@@ -257,8 +257,9 @@ class OCRTool {
                 .slice(0, 20);
 
             topWords.forEach(word => {
-                const confidenceClass = word.confidence > 80 ? 'high' : word.confidence > 60 ? 'medium' : 'low';
-                html += `<span class="word-confidence ${confidenceClass}" title="Confidence: ${word.confidence}%">${word.text}</span> `;
+                const confidence = Number(word.confidence) || 0;
+                const confidenceClass = confidence > 80 ? 'high' : confidence > 60 ? 'medium' : 'low';
+                html += `<span class="word-confidence ${confidenceClass}" title="Confidence: ${confidence}%">${window.Sanitizer.escapeHtml(word.text)}</span> `;
             });
             
             html += '</div>';
@@ -268,7 +269,7 @@ class OCRTool {
             html += '<h4>Paragraph Structure</h4>';
             html += '<ul>';
             details.paragraphs.forEach((para, index) => {
-                html += `<li>Paragraph ${index + 1}: ${para.words?.length || 0} words, Confidence: ${Math.round(para.confidence || 0)}%</li>`;
+                html += `<li>Paragraph ${index + 1}: ${Number(para.words?.length) || 0} words, Confidence: ${Math.round(Number(para.confidence) || 0)}%</li>`;
             });
             html += '</ul>';
         }
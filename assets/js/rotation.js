@@ -0,0 +1,127 @@
+/**
+ * Rotation.js - Homepage Post Rotation Strategies
+ * Chooses which posts fill the homepage slots. Strategies only depend on the posts and
+ * the date, so every visitor sees the same set on a given day
+ */
+
+(function(root) {
+	'use strict';
+
+	const DEFAULTS = {
+		strategy: 'date-seeded',
+		slots: 6,
+		pinned: [], // Posts the 'pinned' strategy always shows first, in order
+		date: null // Defaults to now
+	};
+
+	// Seeded randomness (FNV-1a hash of the seed feeding mulberry32)
+	const random = {
+		hash: function(str) {
+			let hash = 0x811c9dc5;
+			for (let i = 0; i < str.length; i++) {
+				hash ^= str.charCodeAt(i);
+				hash = Math.imul(hash, 0x01000193);
+			}
+			return hash >>> 0;
+		},
+
+		generator: function(seed) {
+			let state = this.hash(String(seed));
+			return function() {
+				state = (state + 0x6d2b79f5) >>> 0;
+				let t = state;
+				t = Math.imul(t ^ (t >>> 15), t | 1);
+				t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+				return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+			};
+		},
+
+		/**
+		 * Fisher-Yates shuffle of a copy, identical for identical seeds
+		 */
+		shuffle: function(items, seed) {
+			const next = this.generator(seed);
+			const shuffled = items.slice();
+			for (let i = shuffled.length - 1; i > 0; i--) {
+				const j = Math.floor(next() * (i + 1));
+				[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+			}
+			return shuffled;
+		}
+	};
+
+	const Rotation = {
+		// Each strategy gets posts (newest first) and resolved options, and returns posts in display order
+		strategies: {
+			/**
+			 * Newest posts, no rotation
+			 */
+			'latest': function(posts, options) {
+				return posts.slice(0, options.slots);
+			},
+
+			/**
+			 * Pinned posts first, remaining slots rotate through the rest by date
+			 */
+			'pinned': function(posts, options) {
+				const pinned = options.pinned.filter(post => posts.includes(post)).slice(0, options.slots);
+				const rest = posts.filter(post => !pinned.includes(post));
+				const rotating = Rotation.strategies['date-seeded'](rest, Object.assign({}, options, {
+					slots: options.slots - pinned.length
+				}));
+				return pinned.concat(rotating);
+			},
+
+			/**
+			 * A different set each day, the same for every visitor; shown newest first
+			 */
+			'date-seeded': function(posts, options) {
+				if (options.slots <= 0) return [];
+				const chosen = new Set(random.shuffle(posts, Rotation.dayKey(options.date)).slice(0, options.slots));
+				return posts.filter(post => chosen.has(post));
+			}
+		},
+
+		/**
+		 * Posts for the homepage slots using the configured strategy
+		 */
+		select: function(posts, options) {
+			const resolved = Object.assign({}, DEFAULTS, options);
+			resolved.date = resolved.date || new Date();
+			resolved.slots = Math.max(0, parseInt(resolved.slots, 10) || 0);
+
+			// Own strategies only: a name like "constructor" must not reach Object.prototype
+			let strategy = Object.prototype.hasOwnProperty.call(this.strategies, resolved.strategy)
+				? this.strategies[resolved.strategy]
+				: null;
+			if (typeof strategy !== 'function') {
+				console.warn(`⚠️  Unknown rotation strategy "${resolved.strategy}", showing latest posts`);
+				strategy = this.strategies.latest;
+			}
+			return strategy(posts, resolved).slice(0, resolved.slots);
+		},
+
+		/**
+		 * Add or replace a strategy
+		 */
+		register: function(name, strategy) {
+			this.strategies[name] = strategy;
+		},
+
+		/**
+		 * Calendar day (UTC, so the set changes at the same moment worldwide) used as the seed
+		 */
+		dayKey: function(date) {
+			return new Date(date).toISOString().slice(0, 10);
+		},
+
+		shuffle: random.shuffle.bind(random)
+	};
+
+	root.BlogRotation = Rotation;
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = Rotation;
+	}
+
+})(typeof window !== 'undefined' ? window : globalThis);
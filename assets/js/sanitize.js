@@ -0,0 +1,148 @@
+/**
+ * Sanitize.js - Shared HTML Escaping & Sanitization
+ * Every renderer that assigns remote strings to innerHTML goes through here:
+ * plain text is escaped, HTML is reduced to an allowlist of tags/attributes
+ */
+
+(function(root) {
+	'use strict';
+
+	// Allowlist policy: tag -> permitted attributes
+	const DEFAULT_POLICY = {
+		tags: {
+			a: ['href', 'title', 'target', 'rel'],
+			b: [], strong: [], i: [], em: [], u: [], del: [], s: [], mark: [], small: [], sub: [], sup: [],
+			br: [], hr: [], p: [], div: ['class'], span: ['class'],
+			h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+			ul: [], ol: ['start'], li: [],
+			blockquote: [], pre: [], code: ['class'],
+			img: ['src', 'alt', 'title', 'loading', 'width', 'height'],
+			table: [], thead: [], tbody: [], tr: [], th: ['style'], td: ['style']
+		},
+		urlAttributes: ['href', 'src'],
+		// Only alignment survives in style attributes (used by Markdown tables)
+		stylePattern: /^\s*text-align:\s*(left|right|center);?\s*$/i
+	};
+
+	// Elements removed together with their content instead of being unwrapped
+	const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'frameset', 'frame', 'link', 'meta', 'base', 'form', 'textarea', 'select'];
+
+	const SAFE_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+	const Sanitizer = {
+		policy: DEFAULT_POLICY,
+
+		/**
+		 * Escape text for safe use in HTML content and quoted attributes
+		 */
+		escapeHtml: function(text) {
+			if (text === undefined || text === null) return '';
+			return String(text)
+				.replace(/&/g, '&amp;')
+				.replace(/</g, '&lt;')
+				.replace(/>/g, '&gt;')
+				.replace(/"/g, '&quot;')
+				.replace(/'/g, '&#39;');
+		},
+
+		/**
+		 * Check a URL against the scheme allowlist (scheme-less relative URLs are allowed)
+		 */
+		isSafeUrl: function(url) {
+			if (url === undefined || url === null) return false;
+
+			// Browsers ignore control characters and whitespace inside schemes
+			const normalized = String(url).replace(/[\u0000-\u0020\u007F]+/g, '');
+			if (!normalized) return false;
+
+			const scheme = normalized.match(/^([^/?#]*?):/);
+			if (!scheme) return true;
+
+			return SAFE_SCHEMES.includes(scheme[1].toLowerCase() + ':');
+		},
+
+		/**
+		 * Return an attribute-safe URL, or the (escaped) fallback when it isn't allowed
+		 */
+		sanitizeUrl: function(url, fallback = '') {
+			return this.escapeHtml(this.isSafeUrl(url) ? String(url).trim() : fallback);
+		},
+
+		/**
+		 * Reduce an HTML string to the allowlist policy
+		 */
+		sanitizeHtml: function(html, policy = DEFAULT_POLICY) {
+			if (!html) return '';
+
+			// Without a DOM (e.g. Node scripts) fall back to escaping everything
+			if (typeof document === 'undefined' || !document.createElement) {
+				return this.escapeHtml(html);
+			}
+
+			// Template content is inert: no scripts run and no images load while parsing
+			const template = document.createElement('template');
+			template.innerHTML = String(html);
+			this.cleanNode(template.content, policy);
+			return template.innerHTML;
+		},
+
+		/**
+		 * Recursively strip disallowed elements and attributes from a node's children
+		 */
+		cleanNode: function(node, policy) {
+			Array.from(node.childNodes).forEach(child => {
+				if (child.nodeType === 3) return; // Text
+
+				if (child.nodeType !== 1) {
+					child.remove(); // Comments, processing instructions
+					return;
+				}
+
+				const tag = child.nodeName.toLowerCase();
+
+				if (DROP_WITH_CONTENT.includes(tag)) {
+					child.remove();
+					return;
+				}
+
+				if (!Object.prototype.hasOwnProperty.call(policy.tags, tag)) {
+					// Unknown element: keep its (cleaned) content, drop the element
+					this.cleanNode(child, policy);
+					child.replaceWith(...Array.from(child.childNodes));
+					return;
+				}
+
+				this.cleanAttributes(child, policy.tags[tag], policy);
+				this.cleanNode(child, policy);
+			});
+		},
+
+		/**
+		 * Remove attributes outside the tag's allowlist and unsafe URL/style values
+		 */
+		cleanAttributes: function(element, allowed, policy) {
+			Array.from(element.attributes).forEach(attr => {
+				const name = attr.name.toLowerCase();
+
+				if (!allowed.includes(name)) {
+					element.removeAttribute(attr.name);
+				} else if (policy.urlAttributes.includes(name) && !this.isSafeUrl(attr.value)) {
+					element.removeAttribute(attr.name);
+				} else if (name === 'style' && !policy.stylePattern.test(attr.value)) {
+					element.removeAttribute(attr.name);
+				}
+			});
+
+			if (element.getAttribute('target') === '_blank') {
+				element.setAttribute('rel', 'noopener noreferrer');
+			}
+		}
+	};
+
+	// Export for global access (and for Node build scripts)
+	root.Sanitizer = Sanitizer;
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = Sanitizer;
+	}
+
+})(typeof window !== 'undefined' ? window : globalThis);
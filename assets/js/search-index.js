@@ -0,0 +1,292 @@
+/**
+ * Search-index.js - Client-side Full-text Search for Blog Posts
+ * Inverted index with weighted title/body ranking, prefix and fuzzy matching,
+ * cached in sessionStorage so it is built once per session
+ * Requires sanitize.js
+ */
+
+(function() {
+	'use strict';
+
+	const CONFIG = {
+		CACHE_KEY: 'blog_search_index',
+		CACHE_VERSION: 2,
+		TITLE_WEIGHT: 3,
+		BODY_WEIGHT: 1,
+		EXACT_WEIGHT: 1,
+		PREFIX_WEIGHT: 0.7,
+		FUZZY_WEIGHT: 0.5,
+		MIN_PREFIX_LENGTH: 2,
+		SNIPPET_RADIUS: 90
+	};
+
+	const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with']);
+
+	// Text helpers
+	const text = {
+		/**
+		 * Split text into lowercase word tokens (Unicode letters and digits)
+		 */
+		tokenize: function(value) {
+			return (String(value || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+				.filter(token => token.length > 1 && !STOP_WORDS.has(token));
+		},
+
+		/**
+		 * Optimal string alignment distance, giving up once it exceeds max
+		 */
+		editDistance: function(a, b, max) {
+			if (Math.abs(a.length - b.length) > max) return max + 1;
+
+			let previous2 = [];
+			let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+
+			for (let i = 1; i <= a.length; i++) {
+				const current = [i];
+				let rowMin = i;
+				for (let j = 1; j <= b.length; j++) {
+					const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+					current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+					// Transposition
+					if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+						current[j] = Math.min(current[j], previous2[j - 2] + 1);
+					}
+					rowMin = Math.min(rowMin, current[j]);
+				}
+				if (rowMin > max) return max + 1;
+				previous2 = previous;
+				previous = current;
+			}
+
+			return previous[b.length];
+		},
+
+		/**
+		 * Typo tolerance grows with word length
+		 */
+		maxTypos: function(term) {
+			if (term.length >= 8) return 2;
+			if (term.length >= 4) return 1;
+			return 0;
+		},
+
+		/**
+		 * FNV-1a fingerprint of every document's full title and body, used to invalidate the cached index
+		 */
+		fingerprint: function(docs) {
+			let hash = 0x811c9dc5;
+			const source = docs.map(doc => `${doc.id}\u0000${doc.title}\u0000${doc.body}`).join('\u0001');
+			for (let i = 0; i < source.length; i++) {
+				hash ^= source.charCodeAt(i);
+				hash = Math.imul(hash, 0x01000193);
+			}
+			return (hash >>> 0).toString(36);
+		}
+	};
+
+	// Lookup tables keyed by words from the posts: no prototype, so "constructor" or "toString" are just words
+	const table = source => Object.assign(Object.create(null), source);
+
+	/**
+	 * Search index over documents of shape { id, title, body }
+	 */
+	class SearchIndex {
+		constructor(data) {
+			this.signature = data.signature;
+			this.docs = table(data.docs); // id -> { title, body }
+			this.terms = table(data.terms); // term -> { id: [titleTf, bodyTf] }
+			this.vocabulary = Object.keys(this.terms);
+			this.docCount = Object.keys(this.docs).length;
+		}
+
+		/**
+		 * Build an index from documents
+		 */
+		static build(docs) {
+			const data = { signature: text.fingerprint(docs), docs: table(), terms: table() };
+
+			docs.forEach(doc => {
+				data.docs[doc.id] = { title: doc.title, body: doc.body };
+
+				const addTokens = (value, field) => {
+					text.tokenize(value).forEach(term => {
+						const postings = data.terms[term] || (data.terms[term] = table());
+						const counts = postings[doc.id] || (postings[doc.id] = [0, 0]);
+						counts[field]++;
+					});
+				};
+				addTokens(doc.title, 0);
+				addTokens(doc.body, 1);
+			});
+
+			return new SearchIndex(data);
+		}
+
+		/**
+		 * Reuse this session's cached index when the documents haven't changed
+		 */
+		static load(docs) {
+			const signature = text.fingerprint(docs);
+
+			try {
+				const cached = JSON.parse(sessionStorage.getItem(CONFIG.CACHE_KEY) || 'null');
+				if (cached && cached.version === CONFIG.CACHE_VERSION && cached.signature === signature) {
+					return new SearchIndex(cached);
+				}
+			} catch (e) {
+				console.warn('Error reading cached search index:', e);
+			}
+
+			const index = SearchIndex.build(docs);
+			index.save();
+			return index;
+		}
+
+		save() {
+			try {
+				sessionStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify({
+					version: CONFIG.CACHE_VERSION,
+					signature: this.signature,
+					docs: this.docs,
+					terms: this.terms
+				}));
+			} catch (e) {
+				console.warn('Error caching search index:', e);
+			}
+		}
+
+		/**
+		 * Expand a query term to indexed terms with match weights (exact, prefix, fuzzy)
+		 */
+		expandTerm(term) {
+			const matches = new Map();
+			if (this.terms[term]) {
+				matches.set(term, CONFIG.EXACT_WEIGHT);
+			}
+
+			const maxTypos = text.maxTypos(term);
+			this.vocabulary.forEach(candidate => {
+				if (candidate === term) return;
+				if (term.length >= CONFIG.MIN_PREFIX_LENGTH && candidate.startsWith(term)) {
+					matches.set(candidate, CONFIG.PREFIX_WEIGHT);
+				} else if (maxTypos > 0 && text.editDistance(term, candidate, maxTypos) <= maxTypos) {
+					matches.set(candidate, CONFIG.FUZZY_WEIGHT);
+				}
+			});
+
+			return matches;
+		}
+
+		/**
+		 * Ranked search: [{ id, score, terms }] where terms are the matched index terms
+		 */
+		search(query) {
+			const queryTerms = text.tokenize(query);
+			if (queryTerms.length === 0) return [];
+
+			const results = new Map();
+
+			queryTerms.forEach((term, position) => {
+				this.expandTerm(term).forEach((weight, matchedTerm) => {
+					const postings = this.terms[matchedTerm];
+					const idf = Math.log(1 + this.docCount / Object.keys(postings).length);
+
+					Object.keys(postings).forEach(id => {
+						const [titleTf, bodyTf] = postings[id];
+						const result = results.get(id) || { id: id, score: 0, terms: new Set(), matched: new Set() };
+						result.score += weight * idf * (CONFIG.TITLE_WEIGHT * titleTf + CONFIG.BODY_WEIGHT * Math.sqrt(bodyTf));
+						result.terms.add(matchedTerm);
+						result.matched.add(position);
+						results.set(id, result);
+					});
+				});
+			});
+
+			// Prefer documents matching every query term; fall back to any match
+			let ranked = Array.from(results.values());
+			const matchingAll = ranked.filter(result => result.matched.size === queryTerms.length);
+			if (matchingAll.length > 0) {
+				ranked = matchingAll;
+			}
+
+			return ranked
+				.sort((a, b) => b.score - a.score)
+				.map(result => ({ id: result.id, score: result.score, terms: Array.from(result.terms) }));
+		}
+
+		/**
+		 * "Did you mean" - replace unknown query words with the closest frequent term
+		 */
+		suggest(query) {
+			const queryTerms = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+			let changed = false;
+
+			const corrected = queryTerms.map(term => {
+				if (this.terms[term] || term.length < 3) return term;
+
+				let best = null;
+				let bestDistance = Infinity;
+				let bestFrequency = 0;
+				const maxTypos = Math.max(1, text.maxTypos(term));
+
+				this.vocabulary.forEach(candidate => {
+					const distance = text.editDistance(term, candidate, maxTypos);
+					const frequency = Object.keys(this.terms[candidate]).length;
+					if (distance <= maxTypos && (distance < bestDistance || (distance === bestDistance && frequency > bestFrequency))) {
+						best = candidate;
+						bestDistance = distance;
+						bestFrequency = frequency;
+					}
+				});
+
+				if (best) {
+					changed = true;
+					return best;
+				}
+				return term;
+			});
+
+			return changed ? corrected.join(' ') : null;
+		}
+
+		/**
+		 * Escape text and wrap words matching any of the terms in <mark>
+		 */
+		highlight(value, terms) {
+			const termSet = new Set(terms);
+			return String(value || '').split(/([\p{L}\p{N}]+)/u).map((part, i) => {
+				const escaped = window.Sanitizer.escapeHtml(part);
+				return i % 2 === 1 && termSet.has(part.toLowerCase()) ? `<mark>${escaped}</mark>` : escaped;
+			}).join('');
+		}
+
+		/**
+		 * Highlighted excerpt of a document's body around the first match
+		 */
+		snippet(id, terms) {
+			const doc = this.docs[id];
+			if (!doc) return '';
+
+			const body = doc.body.replace(/\s+/g, ' ').trim();
+			const lowerBody = body.toLowerCase();
+			let position = -1;
+			terms.forEach(term => {
+				const match = new RegExp(`(^|[^\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u').exec(lowerBody);
+				if (match && (position === -1 || match.index < position)) {
+					position = match.index + match[1].length;
+				}
+			});
+
+			if (position === -1) position = 0;
+			const start = Math.max(0, position - CONFIG.SNIPPET_RADIUS);
+			const end = Math.min(body.length, position + CONFIG.SNIPPET_RADIUS);
+			const excerpt = (start > 0 ? '…' : '') + body.slice(start, end).trim() + (end < body.length ? '…' : '');
+
+			return this.highlight(excerpt, terms);
+		}
+	}
+
+	// Export for global access
+	window.BlogSearchIndex = SearchIndex;
+
+})();
@@ -0,0 +1,136 @@
+/**
+ * Blog-data.js - Shared helpers for Node build scripts
+ * Loads the browser blog modules (sanitize/markdown/blog) and the posts payload
+ * from a fixture or cached API response
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Load order matters: blog.js reads Sanitizer and BlogMarkdown from the global scope
+require('../assets/js/sanitize.js');
+const markdown = require('../assets/js/markdown.js');
+const { CONFIG, utils, api, ui, dataSources, related, slugRedirects } = require('../assets/js/blog.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const SITE = {
+	url: 'https://vikasyadav.live',
+	title: 'Vikas Yadav - Blog',
+	description: 'Insights on AI, Machine Learning, Technology, and Innovation by Vikas Yadav',
+	author: 'Vikas Yadav', // Site owner and publisher; post authors come from CONFIG.AUTHORS
+	twitterHandle: '@vikasyadav__',
+	language: 'en'
+};
+
+const DEFAULT_INPUT = path.join(ROOT_DIR, 'data', 'posts.json');
+
+// Everything the build emits (prerendered pages, feeds) links to the static blog/<slug>.html
+// pages (post.html?slug= for reserved slugs), so postUrl gives prerender canonicals and feed links/ids the same URL
+CONFIG.STATIC_POST_PAGES = true;
+
+// The local data source reads its manifest and Markdown files from disk instead of over HTTP
+dataSources.local.load = async function(relativePath, type) {
+	const content = fs.readFileSync(path.resolve(ROOT_DIR, relativePath), 'utf8');
+	return type === 'json' ? JSON.parse(content) : content;
+};
+
+/**
+ * Parse --flag value pairs from argv
+ */
+function parseArgs(argv) {
+	const args = {};
+	for (let i = 0; i < argv.length; i++) {
+		if (!argv[i].startsWith('--')) continue;
+		const key = argv[i].slice(2);
+		const next = argv[i + 1];
+		if (next === undefined || next.startsWith('--')) {
+			args[key] = true;
+		} else {
+			args[key] = next;
+			i++;
+		}
+	}
+	return args;
+}
+
+/**
+ * Fetch posts from the configured (or given) data source and cache them at the input path
+ */
+async function refreshCache(inputPath, source) {
+	if (source) {
+		CONFIG.DATA_SOURCE = source;
+	}
+
+	const posts = await api.fetchPosts();
+	fs.mkdirSync(path.dirname(inputPath), { recursive: true });
+	fs.writeFileSync(inputPath, JSON.stringify({ success: true, posts: posts }, null, 2));
+	console.log(`📡 Cached ${posts.length} posts to ${path.relative(ROOT_DIR, inputPath)}`);
+}
+
+/**
+ * Read posts from a fixture/cached response ({success, posts} or a bare array),
+ * filtered (status and publish_at schedule) and sorted newest first like the blog index
+ */
+function loadPosts(inputPath) {
+	const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+	const posts = Array.isArray(data) ? data : data.posts;
+
+	if (!Array.isArray(posts)) {
+		throw new Error(`Invalid posts payload in ${inputPath}`);
+	}
+
+	// A post without a stable ID would get a new URL on every edit; fail the build instead of dropping it
+	const unidentified = posts.filter(post => utils.isPublished(post) && !utils.hasPostId(post));
+	if (unidentified.length > 0) {
+		throw new Error(`${unidentified.length} post(s) in ${inputPath} have no stable ID (${CONFIG.ID_FIELDS.concat(CONFIG.HASH_FIELDS).join(', ')}): ${unidentified.map(post => utils.getTitle(post)).join('; ')}`);
+	}
+
+	const now = Date.now();
+	const scheduled = posts
+		.filter(post => utils.isScheduled(post, now))
+		.map(post => utils.getScheduledDate(post))
+		.sort((a, b) => a - b);
+	if (scheduled.length > 0) {
+		// Static output only changes when rebuilt, so say when the next one is due
+		console.log(`⏰ Holding back ${scheduled.length} scheduled post(s); next goes live ${scheduled[0].toISOString()}`);
+	}
+
+	return utils.sortPosts(api.filterPosts(posts, now));
+}
+
+/**
+ * Absolute URL for a site-relative path
+ */
+function absoluteUrl(relativePath, siteUrl = SITE.url) {
+	return new URL(relativePath, siteUrl.replace(/\/?$/, '/')).toString();
+}
+
+/**
+ * Canonical URL of a post's detail page: its static blog/<slug>.html page, or post.html?slug=
+ * for the reserved slugs prerender never writes a page for
+ */
+function postUrl(post, siteUrl = SITE.url) {
+	return absoluteUrl(`blog/${utils.getPostPath(utils.getPostSlug(post))}`, siteUrl);
+}
+
+module.exports = {
+	CONFIG,
+	utils,
+	api,
+	ui,
+	dataSources,
+	related,
+	slugRedirects,
+	markdown,
+	SITE,
+	ROOT_DIR,
+	DEFAULT_INPUT,
+	parseArgs,
+	refreshCache,
+	loadPosts,
+	absoluteUrl,
+	postUrl
+};
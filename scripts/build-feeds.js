@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Build-feeds.js - RSS 2.0, Atom and JSON Feed export of the blog
+ * Writes feed.xml, atom.xml and feed.json next to blog/index.html
+ *
+ * Usage: node scripts/build-feeds.js [--input data/posts.json] [--fetch [--source worker|local|rest]] [--out blog] [--site-url https://vikasyadav.live] [--limit 50]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+	utils, markdown, SITE, ROOT_DIR, DEFAULT_INPUT,
+	parseArgs, refreshCache, loadPosts, absoluteUrl, postUrl
+} = require('./blog-data');
+
+const DEFAULT_LIMIT = 50;
+
+// Enclosure MIME types by image file extension
+const IMAGE_TYPES = new Map([
+	['jpg', 'image/jpeg'],
+	['jpeg', 'image/jpeg'],
+	['png', 'image/png'],
+	['gif', 'image/gif'],
+	['webp', 'image/webp'],
+	['avif', 'image/avif'],
+	['svg', 'image/svg+xml']
+]);
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(value) {
+	return String(value === undefined || value === null ? '' : value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap HTML in CDATA, splitting any "]]>" in the content
+ */
+function cdata(html) {
+	return `<![CDATA[${String(html).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * MIME type of an image URL from its file extension, or null when there is none we know
+ * (Drive thumbnails have no extension)
+ */
+function imageType(url) {
+	const match = new URL(url).pathname.match(/\.([a-z0-9]+)$/i);
+	return (match && IMAGE_TYPES.get(match[1].toLowerCase())) || null;
+}
+
+/**
+ * Reduce posts to the fields every feed format needs
+ */
+function toFeedItems(posts, siteUrl, buildDate) {
+	return posts.map(post => {
+		const published = utils.getPublishedDate(post);
+		const updated = utils.getUpdatedDate(post);
+		const image = absoluteUrl(utils.getPostImage(post), siteUrl);
+		return {
+			id: postUrl(post, siteUrl),
+			url: postUrl(post, siteUrl),
+			title: utils.getTitle(post),
+			summary: utils.getExcerpt(post.idea, utils.getTitle(post)),
+			contentHtml: markdown.render(post.idea),
+			image: image,
+			imageType: imageType(image),
+			tags: utils.getTags(post),
+			language: utils.getLang(post),
+			author: utils.getAuthor(post).name,
+			published: published,
+			updated: updated || published || buildDate
+		};
+	});
+}
+
+function buildRss(items, siteUrl, buildDate) {
+	const entries = items.map(item => `
+		<item>
+			<title>${escapeXml(item.title)}</title>
+			<link>${escapeXml(item.url)}</link>
+			<guid isPermaLink="true">${escapeXml(item.id)}</guid>
+			${item.published ? `<pubDate>${item.published.toUTCString()}</pubDate>` : ''}
+			<dc:creator>${escapeXml(item.author)}</dc:creator>
+			<description>${escapeXml(item.summary)}</description>
+			<content:encoded>${cdata(item.contentHtml)}</content:encoded>
+			${item.tags.map(tag => `<category>${escapeXml(tag)}</category>`).join('')}
+			${item.imageType ? `<enclosure url="${escapeXml(item.image)}" type="${item.imageType}" />` : ''}
+		</item>`).join('');
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+	<channel>
+		<title>${escapeXml(SITE.title)}</title>
+		<link>${escapeXml(absoluteUrl('blog/index.html', siteUrl))}</link>
+		<description>${escapeXml(SITE.description)}</description>
+		<language>${SITE.language}</language>
+		<lastBuildDate>${buildDate.toUTCString()}</lastBuildDate>
+		<atom:link href="${escapeXml(absoluteUrl('blog/feed.xml', siteUrl))}" rel="self" type="application/rss+xml" />${entries}
+	</channel>
+</rss>
+`;
+}
+
+function buildAtom(items, siteUrl, buildDate) {
+	const feedUpdated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+	const entries = items.map(item => `
+	<entry${item.language !== SITE.language ? ` xml:lang="${escapeXml(item.language)}"` : ''}>
+		<title>${escapeXml(item.title)}</title>
+		<link href="${escapeXml(item.url)}" />
+		<id>${escapeXml(item.id)}</id>
+		${item.published ? `<published>${item.published.toISOString()}</published>` : ''}
+		<updated>${item.updated.toISOString()}</updated>
+		${item.author !== SITE.author ? `<author><name>${escapeXml(item.author)}</name></author>` : ''}
+		<summary>${escapeXml(item.summary)}</summary>
+		<content type="html">${escapeXml(item.contentHtml)}</content>
+		${item.tags.map(tag => `<category term="${escapeXml(tag)}" />`).join('')}
+	</entry>`).join('');
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${SITE.language}">
+	<title>${escapeXml(SITE.title)}</title>
+	<subtitle>${escapeXml(SITE.description)}</subtitle>
+	<link href="${escapeXml(absoluteUrl('blog/index.html', siteUrl))}" />
+	<link href="${escapeXml(absoluteUrl('blog/atom.xml', siteUrl))}" rel="self" type="application/atom+xml" />
+	<id>${escapeXml(absoluteUrl('blog/', siteUrl))}</id>
+	<updated>${(items.length > 0 ? feedUpdated : buildDate).toISOString()}</updated>
+	<author><name>${escapeXml(SITE.author)}</name></author>${entries}
+</feed>
+`;
+}
+
+function buildJsonFeed(items, siteUrl) {
+	return JSON.stringify({
+		version: 'https://jsonfeed.org/version/1.1',
+		title: SITE.title,
+		description: SITE.description,
+		home_page_url: absoluteUrl('blog/index.html', siteUrl),
+		feed_url: absoluteUrl('blog/feed.json', siteUrl),
+		language: SITE.language,
+		authors: [{ name: SITE.author, url: siteUrl }],
+		items: items.map(item => {
+			const entry = {
+				id: item.id,
+				url: item.url,
+				title: item.title,
+				summary: item.summary,
+				content_html: item.contentHtml,
+				image: item.image,
+				date_modified: item.updated.toISOString()
+			};
+			if (item.published) entry.date_published = item.published.toISOString();
+			if (item.tags.length > 0) entry.tags = item.tags;
+			if (item.language !== SITE.language) entry.language = item.language;
+			if (item.author !== SITE.author) entry.authors = [{ name: item.author }];
+			return entry;
+		})
+	}, null, 2) + '\n';
+}
+
+async function main() {
+	const args = parseArgs(process.argv.slice(2));
+	const inputPath = path.resolve(ROOT_DIR, args.input || DEFAULT_INPUT);
+	const outDir = path.resolve(ROOT_DIR, args.out || 'blog');
+	const siteUrl = args['site-url'] || SITE.url;
+	const limit = parseInt(args.limit, 10) || DEFAULT_LIMIT;
+
+	if (args.fetch) {
+		await refreshCache(inputPath, args.source);
+	}
+
+	const buildDate = new Date();
+	const items = toFeedItems(loadPosts(inputPath).slice(0, limit), siteUrl, buildDate);
+
+	fs.mkdirSync(outDir, { recursive: true });
+	fs.writeFileSync(path.join(outDir, 'feed.xml'), buildRss(items, siteUrl, buildDate));
+	fs.writeFileSync(path.join(outDir, 'atom.xml'), buildAtom(items, siteUrl, buildDate));
+	fs.writeFileSync(path.join(outDir, 'feed.json'), buildJsonFeed(items, siteUrl));
+
+	console.log(`✅ Wrote RSS, Atom and JSON feeds (${items.length} posts) to ${path.relative(ROOT_DIR, outDir) || '.'}`);
+}
+
+if (require.main === module) {
+	main().catch(error => {
+		console.error('❌ Feed generation failed:', error);
+		process.exit(1);
+	});
+}
+
+module.exports = { buildRss, buildAtom, buildJsonFeed, toFeedItems };
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/**
+ * Prerender.js - Static pre-rendering of the blog for crawlers and link previews
+ * Fills the `prerender:*` regions of blog/index.html (page 1), writes blog/page-N.html
+ * for further pages and blog/<slug>.html per post, each with canonical URL,
+ * OG/Twitter cards and JSON-LD. blog.js hydrates on top of the static markup.
+ * Old slugs of a post get small redirect pages to its current one.
+ *
+ * Usage: node scripts/prerender.js [--input data/posts.json] [--fetch [--source worker|local|rest]] [--site-url https://vikasyadav.live]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+	CONFIG, utils, ui, related, slugRedirects, markdown, SITE, ROOT_DIR, DEFAULT_INPUT,
+	parseArgs, refreshCache, loadPosts, absoluteUrl, postUrl
+} = require('./blog-data');
+
+const BLOG_DIR = path.join(ROOT_DIR, 'blog');
+const INDEX_TEMPLATE = path.join(BLOG_DIR, 'index.html');
+const POST_TEMPLATE = path.join(BLOG_DIR, 'post.html');
+
+// Slugs that are safe as file names in blog/ (letters of any script, digits, hyphens)
+const SLUG_FILE = /^[\p{L}\p{M}\p{N}-]+$/u;
+
+const escapeHtml = value => markdown.escapeHtml(value === undefined || value === null ? '' : value);
+
+/**
+ * Replace the content of a `<!-- prerender:name -->` region, keeping the markers
+ */
+function replaceRegion(html, name, content) {
+	const pattern = new RegExp(`([ \\t]*)<!-- prerender:${name}( [^>]*)? -->[\\s\\S]*?<!-- \\/prerender:${name} -->`);
+	if (!pattern.test(html)) {
+		throw new Error(`Template is missing the prerender:${name} region`);
+	}
+
+	return html.replace(pattern, (match, indent, note) => {
+		const body = content.trim().split('\n').map(line => (line.trim() ? indent + line : '')).join('\n');
+		return `${indent}<!-- prerender:${name}${note || ''} -->\n${body}\n${indent}<!-- /prerender:${name} -->`;
+	});
+}
+
+/**
+ * Serialize JSON-LD safely inside a <script> element
+ */
+function jsonLd(data) {
+	return `<script type="application/ld+json">\n${JSON.stringify(data, null, '\t').replace(/<\//g, '<\\/')}\n</script>`;
+}
+
+/**
+ * schema.org Person for an author from the registry
+ */
+function person(author, siteUrl) {
+	const data = {
+		'@type': 'Person',
+		name: author.name,
+		url: author.links.website || absoluteUrl(`blog/${utils.getAuthorPath(author.key)}`, siteUrl)
+	};
+	const sameAs = Object.values(author.links).filter(link => link !== data.url);
+	if (author.avatar) data.image = absoluteUrl(author.avatar, siteUrl);
+	if (author.bio) data.description = author.bio;
+	if (sameAs.length > 0) data.sameAs = sameAs;
+	return data;
+}
+
+/**
+ * schema.org BlogPosting for a post
+ */
+function blogPosting(post, siteUrl) {
+	const published = utils.getPublishedDate(post);
+	const updated = utils.getUpdatedDate(post);
+	const url = postUrl(post, siteUrl);
+	const data = {
+		'@context': 'https://schema.org',
+		'@type': 'BlogPosting',
+		headline: utils.getTitle(post),
+		description: utils.getExcerpt(post.idea, utils.getTitle(post)),
+		image: absoluteUrl(utils.getPostImage(post), siteUrl),
+		url: url,
+		mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+		author: person(utils.getAuthor(post), siteUrl),
+		publisher: { '@type': 'Person', name: SITE.author, url: siteUrl }
+	};
+	if (published) data.datePublished = published.toISOString();
+	if (updated || published) data.dateModified = (updated || published).toISOString();
+	if (utils.getTags(post).length > 0) data.keywords = utils.getTags(post).join(', ');
+	data.inLanguage = utils.getLang(post);
+	return data;
+}
+
+/**
+ * Shared <head> block: title, description, canonical, OG and Twitter cards
+ */
+function headMeta(meta) {
+	const lines = [
+		`<title>${escapeHtml(meta.title)}</title>`,
+		`<meta name="description" content="${escapeHtml(meta.description)}" />`,
+		`<link rel="canonical" href="${escapeHtml(meta.url)}" />`
+	];
+	(meta.extra || []).forEach(line => lines.push(line));
+	lines.push(
+		'',
+		'<!-- Open Graph Meta Tags -->',
+		`<meta property="og:type" content="${meta.type}" />`,
+		`<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+		`<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+		`<meta property="og:url" content="${escapeHtml(meta.url)}" />`,
+		`<meta property="og:image" content="${escapeHtml(meta.image)}" />`,
+		'<meta property="og:site_name" content="VikasYadav.live" />'
+	);
+	(meta.ogExtra || []).forEach(line => lines.push(line));
+	lines.push(
+		'',
+		'<!-- Twitter Card Meta Tags -->',
+		'<meta name="twitter:card" content="summary_large_image" />',
+		`<meta name="twitter:site" content="${SITE.twitterHandle}" />`,
+		`<meta name="twitter:title" content="${escapeHtml(meta.title)}" />`,
+		`<meta name="twitter:description" content="${escapeHtml(meta.description)}" />`,
+		`<meta name="twitter:image" content="${escapeHtml(meta.image)}" />`,
+		'',
+		'<!-- Structured Data -->',
+		jsonLd(meta.jsonLd)
+	);
+	return lines.join('\n');
+}
+
+/**
+ * Static pagination links (page 1 is index.html, page N is page-N.html)
+ */
+function paginationHTML(page, totalPages) {
+	if (totalPages <= 1) {
+		return '<section id="pagination-section" style="display: none;"></section>';
+	}
+
+	const pageFile = number => (number === 1 ? 'index.html' : `page-${number}.html`);
+	const items = [];
+
+	items.push(page > 1
+		? `<li><a href="${pageFile(page - 1)}" class="button" data-page="${page - 1}">Prev</a></li>`
+		: '<li><span class="button disabled">Prev</span></li>');
+	for (let i = 1; i <= totalPages; i++) {
+		items.push(`<li><a href="${pageFile(i)}" class="page${i === page ? ' active' : ''}" data-page="${i}">${i}</a></li>`);
+	}
+	items.push(page < totalPages
+		? `<li><a href="${pageFile(page + 1)}" class="button" data-page="${page + 1}">Next</a></li>`
+		: '<li><span class="button disabled">Next</span></li>');
+
+	return `<section id="pagination-section" style="display: block;">\n\t<ul class="pagination">\n\t\t${items.join('\n\t\t')}\n\t</ul>\n</section>`;
+}
+
+/**
+ * Render one blog index page from the index template
+ */
+function renderIndexPage(template, posts, page, totalPages, siteUrl) {
+	const pagePath = page === 1 ? 'blog/index.html' : `blog/page-${page}.html`;
+	const url = absoluteUrl(pagePath, siteUrl);
+	const extra = [];
+	if (page > 1) {
+		extra.push(`<meta name="blog:page" content="${page}" />`);
+		extra.push(`<link rel="prev" href="${page === 2 ? 'index.html' : `page-${page - 1}.html`}" />`);
+	}
+	if (page < totalPages) {
+		extra.push(`<link rel="next" href="page-${page + 1}.html" />`);
+	}
+
+	const pageTitle = page === 1 ? 'Blog - Vikas Yadav' : `Blog - Page ${page} - Vikas Yadav`;
+	const cards = posts.map((post, index) => ui.createPostCard(post, index).trim().replace(/^\t+/gm, '')).join('\n');
+
+	let html = replaceRegion(template, 'head', headMeta({
+		title: pageTitle,
+		description: SITE.description,
+		url: url,
+		type: 'website',
+		image: absoluteUrl('images/default-blog.jpg', siteUrl),
+		extra: extra,
+		jsonLd: {
+			'@context': 'https://schema.org',
+			'@type': 'Blog',
+			name: SITE.title,
+			url: url,
+			blogPost: posts.map(post => blogPosting(post, siteUrl))
+		}
+	}));
+	html = replaceRegion(html, 'loading', '<div id="loading-indicator" class="loading-spinner" style="display: none;"></div>');
+	html = replaceRegion(html, 'grid', `<div id="blog-posts-grid" class="posts" style="display: flex;">\n${cards}\n</div>`);
+	html = replaceRegion(html, 'pagination', paginationHTML(page, totalPages));
+	return html;
+}
+
+/**
+ * Render one post page from the post template (mirrors displayPost in post.html)
+ */
+function renderPostPage(template, post, siteUrl, posts = [post]) {
+	const title = utils.getTitle(post);
+	const lang = utils.getLang(post);
+	const translations = related.translations(post, posts);
+	const slug = utils.getPostSlug(post);
+	const statusBadge = utils.getStatusBadge(post);
+	const published = utils.getPublishedDate(post);
+	const updated = utils.getUpdatedDate(post);
+	const image = absoluteUrl(utils.getPostImage(post), siteUrl);
+	const responsiveImage = utils.getResponsiveImage(post);
+
+	const dateLine = utils.formatDateLine(published, updated, lang);
+	const translationLinks = ui.createTranslationLinks(post, translations);
+	const alternates = related.alternates(translations).map(alternate =>
+		`<link rel="alternate" hreflang="${escapeHtml(alternate.hreflang)}" href="${escapeHtml(postUrl(alternate.post, siteUrl))}" />`);
+
+	const ogExtra = [];
+	if (published) ogExtra.push(`<meta property="article:published_time" content="${published.toISOString()}" />`);
+	if (updated) ogExtra.push(`<meta property="article:modified_time" content="${updated.toISOString()}" />`);
+	utils.getTags(post).forEach(tag => ogExtra.push(`<meta property="article:tag" content="${escapeHtml(tag)}" />`));
+
+	let html = replaceRegion(template, 'head', headMeta({
+		title: `${title} - Vikas Yadav`,
+		description: utils.getExcerpt(post.idea, utils.getTitle(post)),
+		url: postUrl(post, siteUrl),
+		type: 'article',
+		image: image,
+		extra: [`<meta name="blog:slug" content="${escapeHtml(slug)}" />`].concat(alternates),
+		ogExtra: ogExtra,
+		jsonLd: blogPosting(post, siteUrl)
+	}));
+	html = html.replace(/<meta name="author" content="[^"]*" \/>/, `<meta name="author" content="${escapeHtml(utils.getAuthor(post).name)}" />`);
+	html = replaceRegion(html, 'loading', '<div id="loading-post" class="loading-post" style="display: none;"></div>');
+	html = replaceRegion(html, 'post', `<article id="post-content" style="display: block;">
+	<header class="post-header">
+		<h1 class="post-title" id="post-title" lang="${escapeHtml(lang)}">${escapeHtml(title)}</h1>
+		<p class="post-byline" id="post-byline">${ui.createByline(utils.getAuthor(post))}</p>
+		<div class="post-meta">
+			<span id="post-date" lang="${escapeHtml(lang)}"${dateLine ? '' : ' style="display: none;"'}>${escapeHtml(dateLine)}</span>
+			<span id="post-reading-time">${utils.formatReadingStats(utils.getReadingStats(post.idea))}</span>
+			<span class="post-status ${statusBadge.className}" id="post-status">${statusBadge.label}</span>
+		</div>
+		<p id="post-translations" class="post-translations"${translationLinks ? '' : ' style="display: none;"'}>${translationLinks}</p>
+	</header>
+
+	<div class="post-featured-image-frame">
+		<img id="post-image" class="post-featured-image responsive-image" src="${escapeHtml(image)}"${responsiveImage.srcset ? ` srcset="${escapeHtml(responsiveImage.srcset)}" sizes="${CONFIG.IMAGE_SIZES.featured}"` : ''} width="${responsiveImage.width}" height="${responsiveImage.height}" alt="${escapeHtml(title)}" onload="this.classList.add('is-loaded')" onerror="this.onerror=null; this.removeAttribute('srcset'); this.src='../images/default-blog.jpg';" />
+		<span class="image-placeholder" id="post-image-placeholder"${responsiveImage.placeholder ? ` style="background-image: url('${escapeHtml(responsiveImage.placeholder)}');"` : ''} aria-hidden="true"></span>
+	</div>
+
+	<div class="post-content" id="post-body" lang="${escapeHtml(lang)}">
+${markdown.render(post.idea)}
+	</div>`);
+	return html;
+}
+
+/**
+ * Render every blog index page: page 1 fills blog/index.html, page N becomes blog/page-N.html
+ */
+function renderIndexPages(template, posts, siteUrl) {
+	const totalPages = Math.max(1, Math.ceil(posts.length / CONFIG.POSTS_PER_PAGE));
+	const pages = [];
+	for (let page = 1; page <= totalPages; page++) {
+		const pagePosts = posts.slice((page - 1) * CONFIG.POSTS_PER_PAGE, page * CONFIG.POSTS_PER_PAGE);
+		pages.push({
+			file: page === 1 ? 'index.html' : `page-${page}.html`,
+			html: renderIndexPage(template, pagePosts, page, totalPages, siteUrl)
+		});
+	}
+	return pages;
+}
+
+/**
+ * Render blog/<slug>.html for every post that gets a static page; reserved slugs are
+ * skipped and stay on post.html?slug=, which is where getPostPath links them
+ */
+function renderPostPages(template, posts, siteUrl) {
+	const pages = [];
+	posts.forEach(post => {
+		const slug = utils.getPostSlug(post);
+		if (!utils.hasStaticPage(slug)) {
+			console.warn(`⚠️  Skipping post with reserved slug "${slug}" (linked as post.html?slug=)`);
+			return;
+		}
+		pages.push({ file: `${slug}.html`, html: renderPostPage(template, post, siteUrl, posts) });
+	});
+	return pages;
+}
+
+/**
+ * Page that sends an old slug on to a post's current page, without JavaScript
+ */
+function renderRedirectPage(post, siteUrl) {
+	const slug = utils.getPostSlug(post);
+	const title = escapeHtml(utils.getTitle(post));
+	const target = escapeHtml(utils.getPostPath(slug));
+	return `<!DOCTYPE HTML>
+<html>
+	<head>
+		<meta charset="utf-8" />
+		<title>${title} - Vikas Yadav</title>
+		<meta name="blog:redirect" content="${escapeHtml(slug)}" />
+		<meta name="robots" content="noindex" />
+		<link rel="canonical" href="${escapeHtml(postUrl(post, siteUrl))}" />
+		<meta http-equiv="refresh" content="0; url=${target}" />
+	</head>
+	<body>
+		<p>This post has moved to <a href="${target}">${title}</a>.</p>
+	</body>
+</html>
+`;
+}
+
+/**
+ * Redirect pages from the posts' old slugs (title-only slugs, old_slugs, CONFIG.SLUG_REDIRECTS)
+ * and from `staleSlugs` (pages an earlier run wrote, e.g. before a title edit) to their current pages
+ */
+function renderRedirectPages(posts, siteUrl, staleSlugs = []) {
+	slugRedirects.learn(posts);
+	const byId = new Map(posts.map(post => [utils.getPostId(post), post]));
+	const written = new Set(posts.map(post => utils.getPostSlug(post)));
+	const pages = [];
+
+	Array.from(slugRedirects.table.keys()).concat(Object.keys(CONFIG.SLUG_REDIRECTS), staleSlugs).forEach(slug => {
+		const post = byId.get(slugRedirects.resolve(slug));
+		if (!post || written.has(slug) || !utils.hasStaticPage(slug) || !SLUG_FILE.test(slug)) return;
+		written.add(slug);
+		pages.push({ file: `${slug}.html`, html: renderRedirectPage(post, siteUrl) });
+	});
+	return pages;
+}
+
+/**
+ * Slugs of the post and redirect pages earlier runs left in blog/
+ */
+function renderedSlugs() {
+	return fs.readdirSync(BLOG_DIR)
+		.filter(file => file.endsWith('.html') && utils.hasStaticPage(file.slice(0, -5)))
+		.filter(file => /<meta name="blog:(slug|redirect)"/.test(fs.readFileSync(path.join(BLOG_DIR, file), 'utf8')))
+		.map(file => file.slice(0, -5));
+}
+
+async function main() {
+	const args = parseArgs(process.argv.slice(2));
+	const inputPath = path.resolve(ROOT_DIR, args.input || DEFAULT_INPUT);
+	const siteUrl = args['site-url'] || SITE.url;
+
+	if (args.fetch) {
+		await refreshCache(inputPath, args.source);
+	}
+
+	// Relative image paths resolve as if served from /blog/ (blog-data switches links to static pages)
+	global.location = { pathname: '/blog/', search: '', hash: '' };
+
+	const posts = loadPosts(inputPath);
+	const indexTemplate = fs.readFileSync(INDEX_TEMPLATE, 'utf8');
+	const postTemplate = fs.readFileSync(POST_TEMPLATE, 'utf8');
+
+	// Index pages
+	const indexPages = renderIndexPages(indexTemplate, posts, siteUrl);
+	indexPages.forEach(page => fs.writeFileSync(path.join(BLOG_DIR, page.file), page.html));
+	const totalPages = indexPages.length;
+
+	// Drop index pages left over from a larger post set
+	fs.readdirSync(BLOG_DIR).forEach(file => {
+		const match = file.match(/^page-(\d+)\.html$/);
+		if (match && parseInt(match[1], 10) > totalPages) {
+			fs.unlinkSync(path.join(BLOG_DIR, file));
+		}
+	});
+
+	// Post pages, and redirects to them from old slugs
+	const previousSlugs = renderedSlugs();
+	const postPages = renderPostPages(postTemplate, posts, siteUrl);
+	const redirectPages = renderRedirectPages(posts, siteUrl, previousSlugs);
+	postPages.concat(redirectPages).forEach(page => fs.writeFileSync(path.join(BLOG_DIR, page.file), page.html));
+
+	// Drop pages of posts that are no longer published
+	const written = new Set(postPages.concat(redirectPages).map(page => page.file));
+	previousSlugs.filter(slug => !written.has(`${slug}.html`)).forEach(slug => fs.unlinkSync(path.join(BLOG_DIR, `${slug}.html`)));
+
+	console.log(`✅ Pre-rendered ${totalPages} index page(s), ${postPages.length} post page(s) and ${redirectPages.length} redirect(s) into blog/`);
+}
+
+if (require.main === module) {
+	main().catch(error => {
+		console.error('❌ Pre-rendering failed:', error);
+		process.exit(1);
+	});
+}
+
+module.exports = { replaceRegion, renderIndexPage, renderPostPage, renderIndexPages, renderPostPages, renderRedirectPages };
@@ -0,0 +1,41 @@
+/**
+ * Author values are looked up in the registry by own key only: "constructor" or "toString"
+ * are plain names, never Object.prototype members
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { CONFIG, utils, ui } = require('../assets/js/blog.js');
+
+describe.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])('author "%s"', name => {
+	const post = { row: '3', name: 'Post', idea: 'Body', status: 'posted', [CONFIG.AUTHOR_FIELD]: name };
+
+	test('utils.getAuthor keeps it as an unregistered author', () => {
+		const author = utils.getAuthor(post);
+		expect(author.name).toBe(name);
+		expect(author.bio).toBe('');
+		expect(author.links).toEqual({});
+		expect(utils.isRegisteredAuthor(utils.tagKey(name))).toBe(false);
+	});
+
+	test('ui.createByline shows the name', () => {
+		const container = document.createElement('div');
+		container.innerHTML = ui.createByline(utils.getAuthor(post));
+		expect(container.querySelector('.author-name').textContent).toBe(name);
+	});
+
+	test('ui.renderAuthorProfile hides the profile when no post is by that author', () => {
+		document.body.innerHTML = '<section id="author-profile"></section>';
+		ui.renderAuthorProfile([], { author: utils.tagKey(name) });
+		const container = document.getElementById('author-profile');
+		expect(container.style.display).toBe('none');
+		expect(container.innerHTML).toBe('');
+	});
+});
+
+test('registered authors still resolve by key and by name', () => {
+	expect(utils.getAuthor({}).name).toBe('Vikas Yadav');
+	expect(utils.getAuthor({ [CONFIG.AUTHOR_FIELD]: 'Vikas Yadav' }).key).toBe('vikas-yadav');
+});
@@ -0,0 +1,46 @@
+/**
+ * Sidebar categories come from the posts' own category labels, keyed with utils.tagKey
+ * so every link selects the posts filters.apply matches
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { ui, filters } = require('../assets/js/blog.js');
+
+const post = (row, category) => ({ row: String(row), name: `Post ${row}`, idea: `Post ${row}\n\nBody`, status: 'posted', category: category, published_at: `2025-01-0${row}` });
+const POSTS = [post(1, 'Machine Learning'), post(2, 'Artificial Intelligence'), post(3, 'machine learning '), post(4, '')];
+
+const links = () => Array.from(document.querySelectorAll('#blog-category-list a'));
+
+beforeEach(() => {
+	document.body.innerHTML = '<ul id="blog-category-list"><li><a href="?" data-category="all">All Posts</a></li></ul>';
+});
+
+describe('ui.renderCategoryList', () => {
+	test('lists each category once with its post count, most used first', () => {
+		ui.renderCategoryList(POSTS, { category: '' });
+
+		expect(links().map(link => link.dataset.category)).toEqual(['all', 'machine-learning', 'artificial-intelligence']);
+		expect(links()[1].textContent).toBe('Machine Learning 2');
+		expect(links()[1].getAttribute('href')).toBe('?category=machine-learning');
+	});
+
+	test('every category link selects the posts in that category', () => {
+		ui.renderCategoryList(POSTS, { category: '' });
+
+		links().slice(1).forEach(link => {
+			const count = parseInt(link.querySelector('.count').textContent, 10);
+			expect(filters.apply(POSTS, { category: link.dataset.category })).toHaveLength(count);
+		});
+	});
+
+	test('marks the active category, or All Posts when none is selected', () => {
+		ui.renderCategoryList(POSTS, { category: 'artificial-intelligence' });
+		expect(links().filter(link => link.classList.contains('active')).map(link => link.dataset.category)).toEqual(['artificial-intelligence']);
+
+		ui.renderCategoryList(POSTS, { category: '' });
+		expect(links().filter(link => link.classList.contains('active')).map(link => link.dataset.category)).toEqual(['all']);
+	});
+});
@@ -0,0 +1,199 @@
+/**
+ * Comments and reactions: the local store (posting, listing, moderation, reactions), the Worker
+ * store's reaction rules, and the component's visible error state when a store call fails
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+const BlogComments = require('../assets/js/comments.js');
+
+const settle = () => new Promise(resolve => setTimeout(resolve));
+
+describe('createLocalStore', () => {
+	test('lists a comment only once it is approved', async () => {
+		const store = BlogComments.createLocalStore();
+		const comment = await store.addComment('p1', { author: ' Ada ', body: ' Hello ' });
+
+		expect(comment).toMatchObject({ postId: 'p1', author: 'Ada', body: 'Hello', status: 'pending', parentId: null });
+		expect((await store.list('p1')).comments).toEqual([]);
+		expect(await store.listPending()).toHaveLength(1);
+
+		await store.moderate(comment.id, 'approve');
+		expect((await store.list('p1')).comments.map(other => other.body)).toEqual(['Hello']);
+		expect(await store.listPending()).toEqual([]);
+	});
+
+	test('lists approved comments of the requested post only', async () => {
+		const store = BlogComments.createLocalStore({ autoApprove: true });
+		await store.addComment('p1', { author: 'Ada', body: 'On p1' });
+		const reply = await store.addComment('p2', { author: 'Lin', body: 'On p2', parentId: 'c1' });
+
+		expect(reply.parentId).toBe('c1');
+		expect((await store.list('p1')).comments.map(comment => comment.body)).toEqual(['On p1']);
+		expect((await store.list('p2')).comments.map(comment => comment.body)).toEqual(['On p2']);
+	});
+
+	test('rejects comments without a name or body, or over the length limits', async () => {
+		const store = BlogComments.createLocalStore();
+		await expect(store.addComment('p1', { author: '', body: 'Hi' })).rejects.toMatchObject({ invalid: true });
+		await expect(store.addComment('p1', { author: 'Ada', body: '  ' })).rejects.toMatchObject({ invalid: true });
+		await expect(store.addComment('p1', {
+			author: 'Ada',
+			body: 'x'.repeat(BlogComments.CONFIG.MAX_BODY_LENGTH + 1)
+		})).rejects.toMatchObject({ invalid: true });
+	});
+
+	test('keeps comments across stores sharing the same storage', async () => {
+		await BlogComments.createLocalStore({ storage: localStorage, autoApprove: true })
+			.addComment('p1', { author: 'Ada', body: 'Saved' });
+
+		const reloaded = BlogComments.createLocalStore({ storage: localStorage });
+		expect((await reloaded.list('p1')).comments.map(comment => comment.body)).toEqual(['Saved']);
+	});
+
+	test('returns copies, so callers cannot change the store', async () => {
+		const store = BlogComments.createLocalStore({ autoApprove: true });
+		const comment = await store.addComment('p1', { author: 'Ada', body: 'Original' });
+		comment.body = 'Changed';
+
+		expect((await store.list('p1')).comments[0].body).toBe('Original');
+	});
+
+	test('counts reactions per post and target', async () => {
+		const store = BlogComments.createLocalStore();
+		await store.react('p1', 'post', '👍', 1);
+		expect(await store.react('p1', 'post', '👍', 1)).toEqual({ '👍': 2 });
+		expect(await store.react('p1', 'c1', '🎉', 1)).toEqual({ '🎉': 1 });
+
+		expect((await store.list('p1')).reactions).toEqual({ post: { '👍': 2 }, c1: { '🎉': 1 } });
+		expect((await store.list('p2')).reactions).toEqual({});
+	});
+
+	test('only takes back a reaction this browser gave', async () => {
+		const store = BlogComments.createLocalStore();
+		await store.react('p1', 'post', '👍', 1);
+
+		await expect(store.react('p1', 'post', '👍', -1)).rejects.toMatchObject({ invalid: true });
+		expect((await store.list('p1')).reactions.post).toEqual({ '👍': 1 });
+	});
+
+	test('never counts below zero', async () => {
+		const store = BlogComments.createLocalStore();
+		localStorage.setItem(BlogComments.CONFIG.REACTED_KEY, JSON.stringify({ 'p1:post:👍': true }));
+
+		expect(await store.react('p1', 'post', '👍', -1)).toEqual({ '👍': 0 });
+	});
+});
+
+describe('createWorkerStore', () => {
+	afterEach(() => {
+		delete global.fetch;
+	});
+
+	test('clamps reaction counts from the Worker at zero', async () => {
+		global.fetch = jest.fn(async () => ({
+			ok: true,
+			json: async () => ({ comments: [], reactions: { post: { '👍': -3, '🎉': 2 } } })
+		}));
+
+		const data = await BlogComments.createWorkerStore({ url: 'https://worker.test/' }).list('p1');
+		expect(global.fetch).toHaveBeenCalledWith('https://worker.test/comments?post=p1', expect.any(Object));
+		expect(data.reactions).toEqual({ post: { '👍': 0, '🎉': 2 } });
+	});
+
+	test('does not send a reaction removal this browser has no record of', async () => {
+		global.fetch = jest.fn();
+
+		await expect(BlogComments.createWorkerStore({ url: 'https://worker.test' }).react('p1', 'post', '👍', -1))
+			.rejects.toMatchObject({ invalid: true });
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+
+	test('fails with the HTTP status when an endpoint is missing', async () => {
+		global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+
+		await expect(BlogComments.createWorkerStore({ url: 'https://worker.test' }).list('p1'))
+			.rejects.toMatchObject({ status: 404 });
+	});
+});
+
+describe('mount', () => {
+	let container;
+
+	beforeEach(() => {
+		jest.spyOn(console, 'warn').mockImplementation(() => {});
+		container = document.createElement('section');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		console.warn.mockRestore();
+	});
+
+	test('renders approved comments and queues new ones for moderation', async () => {
+		const store = BlogComments.createLocalStore({ moderator: false });
+		const approved = await store.addComment('p1', { author: 'Ada', body: 'First!' });
+		await store.moderate(approved.id, 'approve');
+		await BlogComments.mount(container, { postId: 'p1', store: store });
+
+		expect(container.querySelector('h3').textContent).toBe('Responses (1)');
+		expect(container.querySelector('.comment-author').textContent).toBe('Ada');
+
+		const form = container.querySelector('.comment-form');
+		form.elements.author.value = 'Lin';
+		form.elements.body.value = 'Second';
+		form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+		await settle();
+
+		expect(form.querySelector('.comment-form-status').textContent).toMatch(/awaiting moderation/);
+		expect(await store.listPending()).toHaveLength(1);
+	});
+
+	test('toggles a reaction on and off', async () => {
+		const store = BlogComments.createLocalStore();
+		await BlogComments.mount(container, { postId: 'p1', store: store });
+		const button = () => container.querySelector('.post-reactions [data-react="👍"]');
+
+		button().click();
+		await settle();
+		expect(button().getAttribute('aria-pressed')).toBe('true');
+		expect(button().textContent).toContain('1');
+
+		button().click();
+		await settle();
+		expect(button().getAttribute('aria-pressed')).toBe('false');
+		expect((await store.list('p1')).reactions.post).toEqual({ '👍': 0 });
+	});
+
+	test('shows an error state with a retry when the comments cannot be loaded', async () => {
+		const store = BlogComments.createLocalStore();
+		const list = store.list;
+		store.list = jest.fn(async () => {
+			throw new Error('Comments API error: 404');
+		});
+		await BlogComments.mount(container, { postId: 'p1', store: store });
+
+		expect(container.querySelector('[role="alert"]').textContent).toMatch(/could not be loaded/);
+		expect(container.querySelector('.comment-form')).toBeNull();
+
+		store.list = list;
+		container.querySelector('[data-retry-comments]').click();
+		await settle();
+		expect(container.querySelector('.comment-form')).not.toBeNull();
+	});
+
+	test('tells the reader when a reaction could not be saved', async () => {
+		const store = BlogComments.createLocalStore();
+		store.react = jest.fn(async () => {
+			throw new Error('Comments API error: 500');
+		});
+		await BlogComments.mount(container, { postId: 'p1', store: store });
+
+		container.querySelector('.post-reactions [data-react="👍"]').click();
+		await settle();
+
+		expect(container.querySelector('.comments-status').textContent).toMatch(/could not be saved/);
+		expect(container.querySelector('.post-reactions [data-react="👍"]').getAttribute('aria-pressed')).toBe('false');
+	});
+});
@@ -0,0 +1,32 @@
+/**
+ * Date-only Sheet values are calendar days: shown and archived on that day in any time zone
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { utils, archive } = require('../assets/js/blog.js');
+
+const ZONES = ['America/New_York', 'UTC', 'Asia/Kolkata'];
+const originalZone = process.env.TZ;
+
+afterAll(() => {
+	process.env.TZ = originalZone;
+});
+
+describe.each(ZONES)('in %s', zone => {
+	beforeEach(() => {
+		process.env.TZ = zone;
+	});
+
+	test('formatDate shows the calendar day of a date-only string', () => {
+		expect(utils.formatDate('2025-04-01', 'en-US')).toBe('April 1, 2025');
+	});
+
+	test('the archive files the post under the month it shows', () => {
+		const post = { name: 'Dated', idea: 'Body', date: '2025-04-01' };
+		expect(utils.formatDate(utils.getPublishedDate(post), 'en-US')).toBe('April 1, 2025');
+		expect(archive.period(post)).toEqual({ year: '2025', month: '04' });
+	});
+});
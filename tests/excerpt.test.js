@@ -0,0 +1,31 @@
+/**
+ * Card, meta and feed descriptions come from the first real paragraph of the rendered body
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { utils } = require('../assets/js/blog.js');
+
+describe('utils.getExcerpt', () => {
+	test('keeps the first paragraph when a heading follows it', () => {
+		expect(utils.getExcerpt('Intro line\n\n## Section one\n\nMore text', 'A named post')).toBe('Intro line');
+	});
+
+	test('skips headings, lists, code blocks and quotes', () => {
+		const idea = '## Setup\n\n- one\n- two\n\n```\nnpm install\n```\n\n> Quoted\n\nThe **real** paragraph.';
+		expect(utils.getExcerpt(idea, 'Setup')).toBe('The real paragraph.');
+	});
+
+	test('drops the title line of a nameless post', () => {
+		expect(utils.getExcerpt('My title\n\nBody text', 'My title')).toBe('Body text');
+		expect(utils.getExcerpt('My title\nBody text', 'My title')).toBe('Body text');
+	});
+
+	test('limits the excerpt to 200 characters', () => {
+		const excerpt = utils.getExcerpt('word '.repeat(100), 'Title');
+		expect(excerpt.endsWith('...')).toBe(true);
+		expect(excerpt.length).toBeLessThanOrEqual(203);
+	});
+});
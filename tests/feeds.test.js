@@ -0,0 +1,131 @@
+/**
+ * RSS, Atom and JSON feeds built from the posts fixture: item links and ids match the prerendered
+ * pages (post.html?slug= for reserved slugs), drafts stay out, enclosures carry the image's real type
+ */
+
+'use strict';
+
+const path = require('path');
+const { loadPosts } = require('../scripts/blog-data');
+const { buildRss, buildAtom, buildJsonFeed, toFeedItems } = require('../scripts/build-feeds');
+
+const SITE_URL = 'https://vikasyadav.live';
+const BUILD_DATE = new Date('2025-06-01T00:00:00Z');
+
+const EXPECTED_URLS = [
+	'https://vikasyadav.live/blog/diffusion-models-explained--3.html',
+	'https://vikasyadav.live/blog/post.html?slug=index',
+	'https://vikasyadav.live/blog/attention-is-all-you-need--2.html',
+	'https://vikasyadav.live/blog/hindi-men-lekh--5.html'
+];
+
+let items;
+
+beforeAll(() => {
+	jest.spyOn(console, 'log').mockImplementation(() => {});
+	items = toFeedItems(loadPosts(path.join(__dirname, 'fixtures', 'posts.json')), SITE_URL, BUILD_DATE);
+	console.log.mockRestore();
+});
+
+const parseXml = xml => {
+	const doc = new DOMParser().parseFromString(xml, 'application/xml');
+	expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+	return doc;
+};
+const text = (parent, tag) => parent.getElementsByTagName(tag)[0].textContent;
+
+describe('RSS', () => {
+	let entries;
+
+	beforeAll(() => {
+		entries = Array.from(parseXml(buildRss(items, SITE_URL, BUILD_DATE)).getElementsByTagName('item'));
+	});
+
+	test('lists published posts newest first, linking their pages', () => {
+		expect(entries.map(item => text(item, 'link'))).toEqual(EXPECTED_URLS);
+		expect(entries.map(item => text(item, 'guid'))).toEqual(EXPECTED_URLS);
+		expect(entries.map(item => text(item, 'title'))).not.toContain('Draft thing');
+	});
+
+	test('carries dates, author, summary, categories and the rendered body', () => {
+		const attention = entries[2];
+		expect(text(attention, 'pubDate')).toBe('Fri, 10 Jan 2025 00:00:00 GMT');
+		expect(text(attention, 'dc:creator')).toBe('Vikas Yadav');
+		expect(text(attention, 'description')).toBe('Transformers changed NLP forever.');
+		expect(Array.from(attention.getElementsByTagName('category'), category => category.textContent)).toEqual(['LLM', 'NLP']);
+		expect(text(attention, 'content:encoded')).toContain('<strong>changed</strong>');
+	});
+
+	test('types enclosures by file extension without a made-up length', () => {
+		const enclosure = entries[2].getElementsByTagName('enclosure')[0];
+		expect(enclosure.getAttribute('url')).toBe('https://images.example.com/attention.png');
+		expect(enclosure.getAttribute('type')).toBe('image/png');
+		expect(enclosure.hasAttribute('length')).toBe(false);
+
+		expect(entries[1].getElementsByTagName('enclosure')[0].getAttribute('type')).toBe('image/jpeg');
+	});
+
+	test('leaves out the enclosure when the image type is unknown', () => {
+		expect(entries[0].getElementsByTagName('enclosure')).toHaveLength(0);
+	});
+});
+
+describe('Atom', () => {
+	let doc;
+	let entries;
+
+	beforeAll(() => {
+		doc = parseXml(buildAtom(items, SITE_URL, BUILD_DATE));
+		entries = Array.from(doc.getElementsByTagName('entry'));
+	});
+
+	test('uses the page URLs as entry links and ids', () => {
+		expect(entries.map(entry => entry.getElementsByTagName('link')[0].getAttribute('href'))).toEqual(EXPECTED_URLS);
+		expect(entries.map(entry => text(entry, 'id'))).toEqual(EXPECTED_URLS);
+	});
+
+	test('dates the feed by its latest entry update', () => {
+		expect(doc.documentElement.querySelector(':scope > updated').textContent).toBe('2025-03-15T00:00:00.000Z');
+		expect(text(entries[2], 'updated')).toBe('2025-03-02T00:00:00.000Z');
+		expect(text(entries[2], 'published')).toBe('2025-01-10T00:00:00.000Z');
+	});
+
+	test('marks entries in another language', () => {
+		expect(entries[3].getAttribute('xml:lang')).toBe('hi');
+		expect(entries[2].hasAttribute('xml:lang')).toBe(false);
+	});
+});
+
+describe('JSON Feed', () => {
+	let feed;
+
+	beforeAll(() => {
+		feed = JSON.parse(buildJsonFeed(items, SITE_URL));
+	});
+
+	test('describes the feed itself', () => {
+		expect(feed).toMatchObject({
+			version: 'https://jsonfeed.org/version/1.1',
+			home_page_url: 'https://vikasyadav.live/blog/index.html',
+			feed_url: 'https://vikasyadav.live/blog/feed.json'
+		});
+	});
+
+	test('uses the page URLs as item ids and urls', () => {
+		expect(feed.items.map(item => item.id)).toEqual(EXPECTED_URLS);
+		expect(feed.items.map(item => item.url)).toEqual(EXPECTED_URLS);
+	});
+
+	test('includes optional fields only when a post has them', () => {
+		expect(feed.items[2]).toMatchObject({
+			title: 'Attention Is All You Need',
+			image: 'https://images.example.com/attention.png',
+			tags: ['LLM', 'NLP'],
+			date_published: '2025-01-10T00:00:00.000Z',
+			date_modified: '2025-03-02T00:00:00.000Z'
+		});
+		expect(feed.items[1]).not.toHaveProperty('tags');
+		expect(feed.items[3].language).toBe('hi');
+		expect(feed.items[2]).not.toHaveProperty('language');
+	});
+});
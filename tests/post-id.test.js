@@ -0,0 +1,40 @@
+/**
+ * Post IDs (and so post URLs) come from stable columns only and survive edits to the title and body
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { utils, api } = require('../assets/js/blog.js');
+
+describe('utils.getPostId', () => {
+	test('prefers the row ID column', () => {
+		expect(utils.getPostId({ row: '12', Timestamp: '3/1/2025 10:00:00', idea: 'Body' })).toBe('12');
+	});
+
+	test('hashes the Timestamp, so editing the body keeps the ID', () => {
+		const post = { name: 'Title', idea: 'First draft', Timestamp: '3/1/2025 10:00:00' };
+		const edited = Object.assign({}, post, { name: 'New title', idea: 'Rewritten body' });
+		expect(utils.getPostId(edited)).toBe(utils.getPostId(post));
+	});
+
+	test('throws when the post has no stable column', () => {
+		const post = { name: 'Orphan', idea: 'Body only' };
+		expect(() => utils.getPostId(post)).toThrow(/Orphan.*no stable ID/);
+		expect(utils.hasPostId(post)).toBe(false);
+	});
+});
+
+describe('api.filterPosts', () => {
+	test('skips published posts without a stable ID', () => {
+		const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+		const posts = [
+			{ row: '2', name: 'Kept', idea: 'Body', status: 'posted' },
+			{ name: 'Orphan', idea: 'Body', status: 'posted' }
+		];
+		expect(api.filterPosts(posts).map(post => post.name)).toEqual(['Kept']);
+		expect(error).toHaveBeenCalledWith(expect.stringContaining('Orphan'));
+		error.mockRestore();
+	});
+});
@@ -0,0 +1,81 @@
+/**
+ * The IndexedDB post index only answers for entries younger than the posts cache TTL;
+ * older ones are dropped so the post is resolved from a revalidated payload
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { CONFIG, utils, postIndex } = require('../assets/js/blog.js');
+
+/**
+ * Just enough of IndexedDB for postIndex: one object store keyed by id, async request callbacks
+ */
+function fakeIndexedDB() {
+	const records = new Map();
+	const request = result => {
+		const req = { result: result };
+		setTimeout(() => req.onsuccess && req.onsuccess());
+		return req;
+	};
+	const store = {
+		get: id => request(records.get(id)),
+		put: record => request(records.set(record.id, record) && record.id),
+		delete: id => request(records.delete(id) && undefined),
+		getAllKeys: () => request(Array.from(records.keys()))
+	};
+	const db = {
+		objectStoreNames: { contains: () => true },
+		transaction: () => ({ objectStore: () => store })
+	};
+	return { records: records, open: () => request(db) };
+}
+
+const post = { row: '7', name: 'Indexed post', idea: 'Indexed post\n\nBody', status: 'posted' };
+const slug = utils.getPostSlug(post);
+
+let idb;
+
+beforeEach(() => {
+	idb = fakeIndexedDB();
+	window.indexedDB = idb;
+	postIndex.dbPromise = null;
+	postIndex.entries.clear();
+});
+
+afterAll(() => {
+	delete window.indexedDB;
+});
+
+describe('postIndex.get', () => {
+	test('serves an entry saved within the TTL', async () => {
+		idb.records.set('7', Object.assign(utils.toPostData(post, slug), { savedAt: Date.now() }));
+
+		const record = await postIndex.get(slug);
+		expect(record && record.title).toBe('Indexed post');
+	});
+
+	test('does not serve an expired entry and deletes it', async () => {
+		idb.records.set('7', Object.assign(utils.toPostData(post, slug), { savedAt: Date.now() - CONFIG.POSTS_CACHE_TTL - 1 }));
+
+		expect(await postIndex.get(slug)).toBeNull();
+		await new Promise(resolve => setTimeout(resolve));
+		expect(idb.records.has('7')).toBe(false);
+	});
+
+	test('does not serve entries stored before they carried savedAt', async () => {
+		idb.records.set('7', utils.toPostData(post, slug));
+
+		expect(await postIndex.get(slug)).toBeNull();
+	});
+
+	test('expires in-memory entries too', async () => {
+		await postIndex.add([post]);
+		expect(await postIndex.get(slug)).not.toBeNull();
+
+		postIndex.entries.get('7').savedAt = Date.now() - CONFIG.POSTS_CACHE_TTL - 1;
+		idb.records.clear();
+		expect(await postIndex.get(slug)).toBeNull();
+	});
+});
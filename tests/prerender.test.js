@@ -0,0 +1,171 @@
+/**
+ * Pre-rendered blog pages from the posts fixture: index pages with static pagination, post pages
+ * with canonical/OG/JSON-LD metadata, reserved slugs left to post.html?slug=, and redirects from old slugs
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadPosts } = require('../scripts/blog-data');
+const { renderIndexPages, renderPostPage, renderPostPages, renderRedirectPages } = require('../scripts/prerender');
+
+const SITE_URL = 'https://vikasyadav.live';
+const INDEX_TEMPLATE = fs.readFileSync(path.join(__dirname, '..', 'blog', 'index.html'), 'utf8');
+const POST_TEMPLATE = fs.readFileSync(path.join(__dirname, '..', 'blog', 'post.html'), 'utf8');
+
+let posts;
+
+beforeAll(() => {
+	jest.spyOn(console, 'log').mockImplementation(() => {});
+	posts = loadPosts(path.join(__dirname, 'fixtures', 'posts.json'));
+	console.log.mockRestore();
+});
+
+const parseHtml = html => new DOMParser().parseFromString(html, 'text/html');
+const attr = (doc, selector, name) => doc.querySelector(selector).getAttribute(name);
+const jsonLd = doc => JSON.parse(doc.querySelector('script[type="application/ld+json"]').textContent);
+
+/**
+ * Extra posts so the fixture spans more than one index page
+ */
+const morePosts = count => Array.from({ length: count }, (value, index) => ({
+	row: String(100 + index),
+	name: `Older post ${index + 1}`,
+	idea: `Older post ${index + 1}\n\nBody.`,
+	status: 'posted',
+	published_at: `2024-0${index + 1}-01`
+}));
+
+describe('renderIndexPages', () => {
+	test('renders one page with hidden pagination when the posts fit', () => {
+		const pages = renderIndexPages(INDEX_TEMPLATE, posts, SITE_URL);
+		expect(pages.map(page => page.file)).toEqual(['index.html']);
+
+		const doc = parseHtml(pages[0].html);
+		expect(doc.title).toBe('Blog - Vikas Yadav');
+		expect(attr(doc, 'link[rel="canonical"]', 'href')).toBe('https://vikasyadav.live/blog/index.html');
+		expect(doc.querySelector('link[rel="next"]')).toBeNull();
+		expect(doc.querySelector('#pagination-section').style.display).toBe('none');
+		expect(doc.querySelector('#loading-indicator').style.display).toBe('none');
+	});
+
+	test('links cards to the static pages, and reserved slugs to post.html?slug=', () => {
+		const doc = parseHtml(renderIndexPages(INDEX_TEMPLATE, posts, SITE_URL)[0].html);
+		const cards = Array.from(doc.querySelectorAll('#blog-posts-grid > article'));
+		const links = cards.map(card => card.querySelector('a.image, h2 a, h3 a').getAttribute('href'));
+
+		expect(links).toEqual([
+			'diffusion-models-explained--3.html',
+			'post.html?slug=index',
+			'attention-is-all-you-need--2.html',
+			'hindi-men-lekh--5.html'
+		]);
+		expect(jsonLd(doc).blogPost.map(post => post.url)).toEqual(links.map(link => `https://vikasyadav.live/blog/${link}`));
+	});
+
+	test('splits posts into page-N.html pages with prev/next links', () => {
+		const pages = renderIndexPages(INDEX_TEMPLATE, posts.concat(morePosts(4)), SITE_URL);
+		expect(pages.map(page => page.file)).toEqual(['index.html', 'page-2.html']);
+
+		const first = parseHtml(pages[0].html);
+		expect(first.querySelectorAll('#blog-posts-grid > article')).toHaveLength(6);
+		expect(attr(first, 'link[rel="next"]', 'href')).toBe('page-2.html');
+		expect(first.querySelector('link[rel="prev"]')).toBeNull();
+
+		const second = parseHtml(pages[1].html);
+		expect(second.title).toBe('Blog - Page 2 - Vikas Yadav');
+		expect(attr(second, 'link[rel="canonical"]', 'href')).toBe('https://vikasyadav.live/blog/page-2.html');
+		expect(attr(second, 'meta[name="blog:page"]', 'content')).toBe('2');
+		expect(attr(second, 'link[rel="prev"]', 'href')).toBe('index.html');
+		expect(second.querySelectorAll('#blog-posts-grid > article')).toHaveLength(2);
+		expect(second.querySelector('.pagination .page.active').textContent).toBe('2');
+		expect(attr(second, '.pagination a.button', 'href')).toBe('index.html');
+		expect(second.querySelector('.pagination span.disabled').textContent).toBe('Next');
+	});
+});
+
+describe('renderPostPage', () => {
+	const find = title => posts.find(post => post.name === title);
+
+	test('fills the head with the canonical URL, social cards and JSON-LD', () => {
+		const doc = parseHtml(renderPostPage(POST_TEMPLATE, find('Attention Is All You Need'), SITE_URL, posts));
+		const url = 'https://vikasyadav.live/blog/attention-is-all-you-need--2.html';
+
+		expect(doc.title).toBe('Attention Is All You Need - Vikas Yadav');
+		expect(attr(doc, 'link[rel="canonical"]', 'href')).toBe(url);
+		expect(attr(doc, 'meta[name="blog:slug"]', 'content')).toBe('attention-is-all-you-need--2');
+		expect(attr(doc, 'meta[property="og:type"]', 'content')).toBe('article');
+		expect(attr(doc, 'meta[property="og:url"]', 'content')).toBe(url);
+		expect(attr(doc, 'meta[property="og:image"]', 'content')).toBe('https://images.example.com/attention.png');
+		expect(attr(doc, 'meta[property="article:published_time"]', 'content')).toBe('2025-01-10T00:00:00.000Z');
+		expect(Array.from(doc.querySelectorAll('meta[property="article:tag"]'), tag => tag.content)).toEqual(['LLM', 'NLP']);
+		expect(jsonLd(doc)).toMatchObject({
+			'@type': 'BlogPosting',
+			headline: 'Attention Is All You Need',
+			url: url,
+			dateModified: '2025-03-02T00:00:00.000Z'
+		});
+	});
+
+	test('renders the post body so it is readable without JavaScript', () => {
+		const doc = parseHtml(renderPostPage(POST_TEMPLATE, find('Attention Is All You Need'), SITE_URL, posts));
+
+		expect(doc.querySelector('#post-content').style.display).toBe('block');
+		expect(doc.querySelector('#post-title').textContent).toBe('Attention Is All You Need');
+		expect(doc.querySelector('#post-body strong').textContent).toBe('changed');
+		expect(doc.querySelector('#post-body h2').textContent).toBe('Details');
+	});
+
+	test('marks the language of posts in another language', () => {
+		const doc = parseHtml(renderPostPage(POST_TEMPLATE, find('हिंदी में लेख'), SITE_URL, posts));
+
+		expect(doc.querySelector('#post-title').lang).toBe('hi');
+		expect(doc.querySelector('#post-body').lang).toBe('hi');
+	});
+});
+
+describe('renderPostPages', () => {
+	test('writes a page per post and skips reserved slugs', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const pages = renderPostPages(POST_TEMPLATE, posts, SITE_URL);
+
+		expect(pages.map(page => page.file)).toEqual([
+			'diffusion-models-explained--3.html',
+			'attention-is-all-you-need--2.html',
+			'hindi-men-lekh--5.html'
+		]);
+		expect(warn).toHaveBeenCalledWith(expect.stringContaining('reserved slug "index"'));
+		warn.mockRestore();
+	});
+});
+
+describe('renderRedirectPages', () => {
+	const withOldSlugs = () => posts.map(post => (post.row === '2' ? Object.assign({}, post, { old_slugs: 'attention-please, ../escape' }) : post));
+
+	test('redirects title-only slugs and old_slugs to the current page', () => {
+		const pages = renderRedirectPages(withOldSlugs(), SITE_URL);
+		const page = pages.find(other => other.file === 'attention-please.html');
+
+		expect(pages.map(other => other.file)).toEqual(expect.arrayContaining([
+			'attention-is-all-you-need.html',
+			'diffusion-models-explained.html',
+			'hindi-men-lekh.html'
+		]));
+		const doc = parseHtml(page.html);
+		expect(attr(doc, 'meta[http-equiv="refresh"]', 'content')).toBe('0; url=attention-is-all-you-need--2.html');
+		expect(attr(doc, 'link[rel="canonical"]', 'href')).toBe('https://vikasyadav.live/blog/attention-is-all-you-need--2.html');
+		expect(attr(doc, 'meta[name="robots"]', 'content')).toBe('noindex');
+	});
+
+	test('redirects pages left from an earlier title and skips unsafe or reserved names', () => {
+		const files = renderRedirectPages(withOldSlugs(), SITE_URL, ['old-title--3', 'removed-post--42', 'attention-is-all-you-need--2'])
+			.map(page => page.file);
+
+		expect(files).toContain('old-title--3.html');
+		expect(files).not.toContain('removed-post--42.html');
+		expect(files).not.toContain('attention-is-all-you-need--2.html');
+		expect(files.some(file => file.includes('/'))).toBe(false);
+		expect(files).not.toContain('index.html');
+	});
+});
@@ -0,0 +1,84 @@
+/**
+ * Homepage rotation is deterministic: the same posts and UTC day give every visitor the same set
+ */
+
+'use strict';
+
+const Rotation = require('../assets/js/rotation.js');
+
+// Newest first, as blog.js passes them
+const POSTS = Array.from({ length: 20 }, (value, i) => ({ id: `p${20 - i}` }));
+const ids = posts => posts.map(post => post.id);
+const select = (date, options) => ids(Rotation.select(POSTS, Object.assign({ strategy: 'date-seeded', slots: 6, date: new Date(date) }, options)));
+
+describe('latest', () => {
+	test('shows the newest posts in order', () => {
+		expect(ids(Rotation.select(POSTS, { strategy: 'latest', slots: 3 }))).toEqual(['p20', 'p19', 'p18']);
+	});
+});
+
+describe('date-seeded', () => {
+	test('gives the same set all day', () => {
+		const morning = select('2025-06-01T00:00:00Z');
+		expect(morning).toHaveLength(6);
+		expect(select('2025-06-01T12:34:56Z')).toEqual(morning);
+		expect(select('2025-06-01T23:59:59.999Z')).toEqual(morning);
+	});
+
+	test('changes at midnight UTC, not local midnight', () => {
+		expect(select('2025-06-02T00:00:00Z')).not.toEqual(select('2025-06-01T23:59:59.999Z'));
+		// 23:30 in New York on June 1 is already June 2 in UTC
+		expect(select('2025-06-01T23:30:00-04:00')).toEqual(select('2025-06-02T10:00:00Z'));
+		expect(Rotation.dayKey(new Date('2025-06-01T23:30:00-04:00'))).toBe('2025-06-02');
+	});
+
+	test('lists the chosen posts newest first', () => {
+		const chosen = select('2025-06-01T08:00:00Z');
+		const order = ids(POSTS);
+		expect(chosen.slice().sort((a, b) => order.indexOf(a) - order.indexOf(b))).toEqual(chosen);
+	});
+
+	test('does not depend on the input array identity', () => {
+		const copies = POSTS.map(post => Object.assign({}, post));
+		expect(ids(Rotation.select(copies, { strategy: 'date-seeded', slots: 6, date: new Date('2025-06-01T08:00:00Z') })))
+			.toEqual(select('2025-06-01T08:00:00Z'));
+	});
+});
+
+describe('pinned', () => {
+	const pinned = [POSTS[5], POSTS[12]];
+
+	test('shows pinned posts first, in order, then rotates the rest by day', () => {
+		const chosen = select('2025-06-01T08:00:00Z', { strategy: 'pinned', pinned: pinned });
+		expect(chosen.slice(0, 2)).toEqual(['p15', 'p8']);
+		expect(chosen).toHaveLength(6);
+		expect(new Set(chosen).size).toBe(6);
+		expect(select('2025-06-01T20:00:00Z', { strategy: 'pinned', pinned: pinned })).toEqual(chosen);
+	});
+
+	test('ignores pinned posts that are not in the list and never exceeds the slots', () => {
+		const chosen = select('2025-06-01T08:00:00Z', { strategy: 'pinned', pinned: [{ id: 'gone' }, POSTS[0]], slots: 1 });
+		expect(chosen).toEqual(['p20']);
+	});
+});
+
+describe('strategy lookup', () => {
+	beforeEach(() => {
+		jest.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		console.warn.mockRestore();
+	});
+
+	test.each(['constructor', 'toString', '__proto__', 'no-such-strategy'])('falls back to latest for "%s"', name => {
+		expect(ids(Rotation.select(POSTS, { strategy: name, slots: 2 }))).toEqual(['p20', 'p19']);
+		expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Unknown rotation strategy'));
+	});
+
+	test('registered strategies are used', () => {
+		Rotation.register('oldest', posts => posts.slice().reverse());
+		expect(ids(Rotation.select(POSTS, { strategy: 'oldest', slots: 2 }))).toEqual(['p1', 'p2']);
+		delete Rotation.strategies.oldest;
+	});
+});
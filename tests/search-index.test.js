@@ -0,0 +1,109 @@
+/**
+ * Blog search: weighted ranking, prefix and fuzzy matching, suggestions and the sessionStorage cache
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/search-index.js');
+
+const SearchIndex = window.BlogSearchIndex;
+
+const DOCS = [
+	{ id: 'a', title: 'Attention is all you need', body: 'Transformers replaced recurrence with self-attention layers.' },
+	{ id: 'b', title: 'Diffusion models explained', body: 'Denoising step by step, with attention in the U-Net.' },
+	{ id: 'c', title: 'Gardening notes', body: 'Tomatoes need sunlight and patience.' }
+];
+
+const ids = results => results.map(result => result.id);
+
+describe('search', () => {
+	const index = SearchIndex.build(DOCS);
+
+	test('ranks title matches above body matches', () => {
+		expect(ids(index.search('attention'))).toEqual(['a', 'b']);
+	});
+
+	test('prefers documents matching every query word', () => {
+		expect(ids(index.search('attention denoising'))).toEqual(['b']);
+	});
+
+	test('falls back to documents matching any word', () => {
+		expect(ids(index.search('tomatoes quantum'))).toEqual(['c']);
+	});
+
+	test('matches word prefixes', () => {
+		const [result] = index.search('transf');
+		expect(result.id).toBe('a');
+		expect(result.terms).toContain('transformers');
+	});
+
+	test('tolerates typos in longer words', () => {
+		expect(ids(index.search('difusion'))).toEqual(['b']);
+		expect(ids(index.search('transfomers'))).toEqual(['a']);
+	});
+
+	test('ranks exact matches above fuzzy ones', () => {
+		const fuzzy = SearchIndex.build([
+			{ id: 'exact', title: 'Models', body: '' },
+			{ id: 'typo', title: 'Modals', body: '' }
+		]);
+		expect(ids(fuzzy.search('models'))[0]).toBe('exact');
+	});
+
+	test('ignores stop words and single letters', () => {
+		expect(index.search('the a')).toEqual([]);
+	});
+
+	test('suggests the closest indexed word for an unknown one', () => {
+		expect(index.suggest('gardenig')).toBe('gardening');
+		expect(index.suggest('attention')).toBeNull();
+	});
+
+	test('indexes words that are Object.prototype member names', () => {
+		const words = SearchIndex.build([{ id: 'p', title: 'The constructor pattern', body: 'toString and valueOf' }]);
+		expect(ids(words.search('constructor'))).toEqual(['p']);
+		expect(ids(words.search('tostring'))).toEqual(['p']);
+	});
+
+	test('snippet escapes the body and marks matched words', () => {
+		const html = SearchIndex.build([{ id: 'x', title: 'X', body: '<b>Bold</b> attention' }]).snippet('x', ['attention']);
+		expect(html).toBe('&lt;b&gt;Bold&lt;/b&gt; <mark>attention</mark>');
+	});
+});
+
+describe('load', () => {
+	test('reuses the cached index while the documents are unchanged', () => {
+		SearchIndex.load(DOCS);
+		const build = jest.spyOn(SearchIndex, 'build');
+
+		expect(ids(SearchIndex.load(DOCS).search('tomatoes'))).toEqual(['c']);
+		expect(build).not.toHaveBeenCalled();
+		build.mockRestore();
+	});
+
+	test('rebuilds when a body is edited without changing its length', () => {
+		SearchIndex.load(DOCS);
+		const edited = DOCS.map(doc => doc.id === 'c' ? Object.assign({}, doc, { body: 'Zucchini need sunlight and patience.' }) : doc);
+		expect(edited[2].body.length).toBe(DOCS[2].body.length);
+
+		const index = SearchIndex.load(edited);
+		expect(ids(index.search('zucchini'))).toEqual(['c']);
+		expect(index.search('tomatoes')).toEqual([]);
+	});
+
+	test('rebuilds when the title changes', () => {
+		SearchIndex.load(DOCS);
+		const edited = DOCS.map(doc => doc.id === 'c' ? Object.assign({}, doc, { title: 'Gardening tips' }) : doc);
+		expect(ids(SearchIndex.load(edited).search('tips'))).toEqual(['c']);
+	});
+
+	test('ignores a cache written by an older index version', () => {
+		const index = SearchIndex.load(DOCS);
+		const cached = JSON.parse(sessionStorage.getItem('blog_search_index'));
+		sessionStorage.setItem('blog_search_index', JSON.stringify(Object.assign(cached, { version: 0, terms: {} })));
+
+		expect(ids(SearchIndex.load(DOCS).search('tomatoes'))).toEqual(['c']);
+		expect(index.signature).toBe(SearchIndex.build(DOCS).signature);
+	});
+});
@@ -0,0 +1,32 @@
+/**
+ * Setup.js - Shared helpers for the jsdom test suites
+ * The blog modules export themselves when `module` exists; the class-based scripts
+ * (app.js, chat.js, ocr.js) only declare globals, so loadScript evaluates them in the window
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Evaluate a browser script in the jsdom window and return a binding it declares (e.g. a class)
+ */
+global.loadScript = function(relativePath, name) {
+	const source = fs.readFileSync(path.join(ROOT_DIR, relativePath), 'utf8');
+	return (0, eval)(`${source}\n;${name}`);
+};
+
+// jsdom has no layout, so scrolling is a no-op
+Element.prototype.scrollTo = Element.prototype.scrollTo || function() {};
+Element.prototype.scrollIntoView = Element.prototype.scrollIntoView || function() {};
+
+beforeEach(() => {
+	document.head.innerHTML = '';
+	document.body.innerHTML = '';
+	localStorage.clear();
+	sessionStorage.clear();
+	delete window.__xss;
+});
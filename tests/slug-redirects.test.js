@@ -0,0 +1,98 @@
+/**
+ * Old slugs (title-only slugs from before slugs carried the post ID, and the old_slugs column)
+ * resolve from the posts payload itself, so they work on a reader's first visit
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { CONFIG, api, postIndex, slugRedirects } = require('../assets/js/blog.js');
+
+const POSTS = [
+	{ row: '7', name: 'Attention Is All You Need', idea: 'Attention Is All You Need\n\nBody', status: 'posted', published_at: '2025-01-10', old_slugs: 'attention-please, transformers-101' },
+	{ row: '8', name: 'Café au lait', idea: 'Café au lait\n\nBody', status: 'posted', published_at: '2025-02-01' },
+	{ row: '9', name: 'Attention Is All You Need', idea: 'Attention Is All You Need\n\nA newer post, same title', status: 'posted', published_at: '2025-03-01' }
+];
+
+beforeEach(() => {
+	slugRedirects.table = new Map();
+	CONFIG.SLUG_REDIRECTS = {};
+});
+
+describe('slugRedirects.resolve', () => {
+	test('reads the ID from current slugs, whatever the title part says', () => {
+		expect(slugRedirects.resolve('renamed-title--7')).toBe('7');
+	});
+
+	test('resolves title-only and old_slugs slugs once a payload is learned', () => {
+		slugRedirects.learn(POSTS);
+
+		expect(slugRedirects.resolve('cafe-au-lait')).toBe('8');
+		expect(slugRedirects.resolve('caf-au-lait')).toBe('8');
+		expect(slugRedirects.resolve('transformers-101')).toBe('7');
+		expect(slugRedirects.resolve('attention-please')).toBe('7');
+	});
+
+	test('gives a title two posts share to the newer one', () => {
+		slugRedirects.learn(POSTS);
+		expect(slugRedirects.resolve('attention-is-all-you-need')).toBe('9');
+	});
+
+	test('forgets slugs of posts that are gone from the payload', () => {
+		slugRedirects.learn(POSTS);
+		slugRedirects.learn(POSTS.slice(0, 1));
+
+		expect(slugRedirects.resolve('cafe-au-lait')).toBe('cafe-au-lait');
+	});
+
+	test('lets CONFIG.SLUG_REDIRECTS override the derived table', () => {
+		slugRedirects.learn(POSTS);
+		CONFIG.SLUG_REDIRECTS = { 'attention-is-all-you-need': '7' };
+
+		expect(slugRedirects.resolve('attention-is-all-you-need')).toBe('7');
+		expect(slugRedirects.resolve('constructor')).toBe('constructor');
+	});
+
+	test('keeps nothing in localStorage and clears what earlier versions learned there', () => {
+		localStorage.setItem(slugRedirects.LEGACY_STORAGE_KEY, JSON.stringify({ 'old-slug': '7' }));
+		slugRedirects.learn(POSTS);
+
+		expect(localStorage.getItem(slugRedirects.LEGACY_STORAGE_KEY)).toBeNull();
+		expect(slugRedirects.resolve('old-slug')).toBe('old-slug');
+	});
+});
+
+describe('api.getPostBySlug', () => {
+	beforeEach(() => {
+		api.pending = null;
+		postIndex.entries.clear();
+		jest.spyOn(console, 'warn').mockImplementation(() => {});
+		global.fetch = jest.fn(async () => ({
+			ok: true,
+			status: 200,
+			headers: { get: () => null },
+			json: async () => ({ success: true, posts: POSTS })
+		}));
+	});
+
+	afterEach(() => {
+		delete global.fetch;
+		jest.restoreAllMocks();
+	});
+
+	test('opens a post by an old slug on a first visit', async () => {
+		const post = await api.getPostBySlug('transformers-101');
+
+		expect(post).toMatchObject({ id: '7', slug: 'attention-is-all-you-need--7' });
+	});
+
+	test('opens it when localStorage cannot be written either', async () => {
+		jest.spyOn(console, 'error').mockImplementation(() => {});
+		jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+			throw new DOMException('Quota exceeded', 'QuotaExceededError');
+		});
+
+		expect(await api.getPostBySlug('cafe-au-lait')).toMatchObject({ id: '8' });
+	});
+});
@@ -0,0 +1,27 @@
+/**
+ * Hindi titles are romanised for slugs the way they are pronounced (inherent "a" dropped where Hindi drops it)
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { utils } = require('../assets/js/blog.js');
+
+const FIXTURES = [
+	['ट्रांसफॉर्मर क्या है', 'transformar-kya-hai'],
+	['हिंदी में लेख', 'hindi-men-lekh'],
+	['कमल', 'kamal'],
+	['कमला', 'kamla'],
+	['बताया', 'bataya'],
+	['समझ', 'samajh'],
+	['नमस्ते', 'namaste'],
+	['ज़िंदगी', 'zindgi'],
+	['Attention Is All You Need', 'attention-is-all-you-need']
+];
+
+describe('utils.createSlug', () => {
+	test.each(FIXTURES)('%s -> %s', (title, slug) => {
+		expect(utils.createSlug(title)).toBe(slug);
+	});
+});
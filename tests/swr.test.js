@@ -0,0 +1,155 @@
+/**
+ * Stale-while-revalidate posts cache: cached posts render at once, stale ones are revalidated
+ * in the background with If-None-Match, and only a changed payload re-renders (patching the grid)
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { CONFIG, utils, api, ui } = require('../assets/js/blog.js');
+
+const post = (row, title) => ({ row: String(row), name: title, idea: `${title}\n\nBody of ${title}.`, status: 'posted', published_at: `2025-01-0${row}` });
+const POSTS = [post(1, 'First post'), post(2, 'Second post')];
+
+/**
+ * Worker response: 200 with { success, posts } and an ETag, or a bare status (304, 500)
+ */
+function respond(status, posts, etag) {
+	return {
+		ok: status >= 200 && status < 300,
+		status: status,
+		headers: { get: name => (name === 'ETag' ? etag || null : null) },
+		json: async () => ({ success: true, posts: posts })
+	};
+}
+
+function cachePosts(posts, etag, age) {
+	localStorage.setItem(CONFIG.POSTS_CACHE_KEY, JSON.stringify({
+		version: CONFIG.POSTS_CACHE_VERSION,
+		source: CONFIG.DATA_SOURCE,
+		savedAt: Date.now() - age,
+		etag: etag,
+		signature: utils.hashString(JSON.stringify(posts)),
+		posts: posts
+	}));
+}
+
+const readCache = () => JSON.parse(localStorage.getItem(CONFIG.POSTS_CACHE_KEY));
+const STALE = CONFIG.POSTS_CACHE_TTL + 1000;
+
+beforeEach(() => {
+	global.fetch = jest.fn();
+	api.pending = null;
+	jest.spyOn(console, 'warn').mockImplementation(() => {});
+	jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	delete global.fetch;
+	jest.restoreAllMocks();
+});
+
+describe('api.getPosts', () => {
+	test('fetches and caches posts when nothing is cached', async () => {
+		global.fetch.mockResolvedValue(respond(200, POSTS, '"v1"'));
+
+		expect(await api.getPosts()).toEqual(POSTS);
+		expect(readCache()).toMatchObject({ etag: '"v1"', posts: POSTS });
+	});
+
+	test('serves fresh cached posts without a request', async () => {
+		cachePosts(POSTS, '"v1"', 0);
+
+		expect(await api.getPosts()).toEqual(POSTS);
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+
+	test('serves stale cached posts at once and refreshes them in the background', async () => {
+		cachePosts(POSTS, '"v1"', STALE);
+		const fresh = POSTS.concat(post(3, 'Third post'));
+		global.fetch.mockResolvedValue(respond(200, fresh, '"v2"'));
+		const onUpdate = jest.fn();
+
+		expect(await api.getPosts(onUpdate)).toEqual(POSTS);
+		await api.pending;
+
+		expect(onUpdate).toHaveBeenCalledWith(fresh);
+		expect(readCache()).toMatchObject({ etag: '"v2"', posts: fresh });
+	});
+
+	test('keeps the cache and restarts its TTL on a 304', async () => {
+		cachePosts(POSTS, '"v1"', STALE);
+		global.fetch.mockResolvedValue(respond(304));
+		const onUpdate = jest.fn();
+
+		await api.getPosts(onUpdate);
+		await api.pending;
+
+		const [, init] = global.fetch.mock.calls[0];
+		expect(init.headers['If-None-Match']).toBe('"v1"');
+		expect(onUpdate).not.toHaveBeenCalled();
+		expect(readCache().posts).toEqual(POSTS);
+		expect(Date.now() - readCache().savedAt).toBeLessThan(CONFIG.POSTS_CACHE_TTL);
+	});
+
+	test('keeps the stale posts when the refresh fails', async () => {
+		cachePosts(POSTS, '"v1"', STALE);
+		global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+		const onUpdate = jest.fn();
+
+		expect(await api.getPosts(onUpdate)).toEqual(POSTS);
+		await new Promise(resolve => setTimeout(resolve));
+
+		expect(onUpdate).not.toHaveBeenCalled();
+		expect(readCache()).toMatchObject({ etag: '"v1"', posts: POSTS });
+		expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Background refresh failed'), expect.any(TypeError));
+	});
+
+	test('shares one request between concurrent revalidations', async () => {
+		global.fetch.mockResolvedValue(respond(200, POSTS, '"v1"'));
+
+		await Promise.all([api.revalidate(), api.revalidate()]);
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('changed ETag', () => {
+	beforeEach(() => {
+		document.body.innerHTML = '<section id="blog-posts-section"><div id="blog-posts-grid"></div></section>';
+	});
+
+	test('patches the grid: unchanged cards keep their nodes, edited and new ones are rendered', async () => {
+		cachePosts(POSTS, '"v1"', STALE);
+		const edited = [post(1, 'First post'), Object.assign(post(2, 'Second post'), { idea: 'Second post\n\nRewritten body.' }), post(3, 'Third post')];
+		global.fetch.mockResolvedValue(respond(200, edited, '"v2"'));
+
+		const grid = document.getElementById('blog-posts-grid');
+		ui.renderPosts(api.filterPosts(await api.getPosts(freshPosts => ui.renderPosts(api.filterPosts(freshPosts)))));
+		const [first, second] = Array.from(grid.children);
+		expect(grid.children).toHaveLength(2);
+
+		await api.pending;
+
+		expect(grid.children).toHaveLength(3);
+		expect(grid.children[0]).toBe(first);
+		expect(grid.children[1]).not.toBe(second);
+		expect(grid.children[1].textContent).toContain('Rewritten body.');
+		expect(grid.children[2].dataset.postId).toBe('3');
+	});
+
+	test('leaves the grid untouched when a new ETag carries the same posts', async () => {
+		cachePosts(POSTS, '"v1"', STALE);
+		global.fetch.mockResolvedValue(respond(200, POSTS, '"v2"'));
+		const onUpdate = jest.fn();
+
+		const grid = document.getElementById('blog-posts-grid');
+		ui.renderPosts(api.filterPosts(await api.getPosts(onUpdate)));
+		const cards = Array.from(grid.children);
+		await api.pending;
+
+		expect(onUpdate).not.toHaveBeenCalled();
+		expect(readCache().etag).toBe('"v2"');
+		expect(Array.from(grid.children)).toEqual(cards);
+	});
+});
@@ -0,0 +1,179 @@
+/**
+ * XSS payloads from remote strings (post fields, search queries, comments, OCR words, bot replies)
+ * run through every innerHTML renderer; nothing they render may execute or carry script
+ */
+
+'use strict';
+
+require('../assets/js/sanitize.js');
+require('../assets/js/markdown.js');
+const { ui, related, utils } = require('../assets/js/blog.js');
+const BlogComments = require('../assets/js/comments.js');
+
+// Each payload sets window.__xss if it ever runs
+const PAYLOADS = [
+	'<script>window.__xss = true</script>',
+	'<img src=x onerror="window.__xss = true">',
+	'"><svg onload="window.__xss = true">',
+	'\' onmouseover=\'window.__xss = true',
+	'<a href="javascript:window.__xss = true">link</a>',
+	'<iframe src="javascript:window.__xss = true"></iframe>',
+	'javascript:window.__xss = true'
+];
+
+/**
+ * No script-capable elements, no handler attributes from the payloads and no javascript: URLs
+ */
+function expectInert(container) {
+	expect(container.querySelectorAll('script, iframe, svg, object, embed')).toHaveLength(0);
+
+	container.querySelectorAll('*').forEach(element => {
+		Array.from(element.attributes).forEach(attribute => {
+			if (attribute.name.startsWith('on')) {
+				expect(attribute.value).not.toContain('__xss');
+			}
+			if (['href', 'src', 'action', 'formaction'].includes(attribute.name)) {
+				expect(attribute.value.trim().toLowerCase()).not.toMatch(/^javascript:/);
+			}
+		});
+	});
+
+	expect(window.__xss).toBeUndefined();
+}
+
+/**
+ * A Sheet row with the payload in every field a card renders
+ */
+function postWith(payload, row) {
+	return {
+		row: row,
+		name: payload,
+		idea: `${payload}\n\nBody ${payload}`,
+		tags: `${payload}, safe`,
+		category: payload,
+		author: payload,
+		series: payload,
+		// getPostImage reads Final_Image and imageN: the URL-shaped column reaches src, the raw ones are rejected
+		Final_Image: payload,
+		image1: `https://images.example.com/${payload}.jpg`,
+		image2: payload,
+		status: 'posted',
+		published_at: '2025-03-01'
+	};
+}
+
+describe.each(PAYLOADS)('payload %s', payload => {
+	test('ui.createPostCard', () => {
+		const container = document.createElement('div');
+		container.innerHTML = ui.createPostCard(postWith(payload, 7), 0);
+		document.body.appendChild(container);
+
+		expect(container.querySelector('.blog-post-title').textContent).toContain(payload.trim());
+		expect(container.querySelector('img').getAttribute('src')).toContain('images.example.com');
+		expectInert(container);
+	});
+
+	test('ui.renderFilterBar and ui.renderCategoryList', () => {
+		document.body.innerHTML = '<div id="blog-filter-bar"></div><ul id="blog-category-list"></ul>';
+		ui.renderFilterBar([postWith(payload, 7)], { tag: utils.tagKey(payload) });
+		ui.renderCategoryList([postWith(payload, 7)], { category: utils.tagKey(payload) });
+
+		expect(document.getElementById('blog-filter-bar').textContent).toContain(payload.trim());
+		expectInert(document.body);
+	});
+
+	test('ui.renderSearchStatus', () => {
+		document.body.innerHTML = '<div id="search-status"></div>';
+		ui.renderSearchStatus(payload, 0, payload);
+
+		const container = document.getElementById('search-status');
+		expect(container.querySelector('[data-search-suggestion]').textContent).toBe(payload);
+		expectInert(container);
+	});
+
+	test('ui.renderArchive and ui.renderArchiveWidget', () => {
+		document.body.innerHTML = '<section id="blog-archive"></section><div id="blog-archive-widget"><div class="archive-widget-list"></div></div>';
+		ui.renderArchive([postWith(payload, 7)], { year: 2025, month: 3 });
+		ui.renderArchiveWidget([postWith(payload, 7)], { year: 2025, month: 3 });
+
+		expect(document.getElementById('blog-archive').textContent).toContain(payload.trim());
+		expectInert(document.body);
+	});
+
+	test('ui.renderRelated and ui.renderSeries', () => {
+		document.body.innerHTML = '<div id="related"></div><div id="series"></div>';
+		const posts = [postWith(payload, 7), postWith(payload, 8), postWith(payload, 9)];
+		ui.renderRelated(document.getElementById('related'), posts.slice(1));
+		ui.renderSeries(document.getElementById('series'), related.series(posts[0], posts));
+
+		expect(document.getElementById('related').textContent).toContain(payload.trim());
+		expect(document.getElementById('series').textContent).toContain(payload.trim());
+		expectInert(document.body);
+	});
+
+	test('BlogComments.mount', async () => {
+		const store = BlogComments.createLocalStore({ autoApprove: true });
+		const comment = await store.addComment('p1', { author: payload, body: payload });
+		await store.addComment('p1', { author: payload, body: `${payload}\n\n${payload}`, parentId: comment.id });
+		document.body.innerHTML = '<section id="post-comments"></section>';
+		await BlogComments.mount(document.getElementById('post-comments'), { postId: 'p1', store: store });
+
+		const container = document.getElementById('post-comments');
+		expect(container.querySelectorAll('.comment-author')).toHaveLength(2);
+		expect(container.querySelector('.comment-author').textContent).toBe(payload.trim());
+		expectInert(container);
+	});
+
+	test('ui.renderHomepagePosts', () => {
+		document.body.innerHTML = '<div id="latest-posts"></div>';
+		ui.renderHomepagePosts([postWith(payload, 8), postWith(payload, 9)]);
+
+		const container = document.getElementById('latest-posts');
+		expect(container.querySelectorAll('article')).toHaveLength(2);
+		expectInert(container);
+	});
+
+	test('OCRTool.displayDetailedAnalysis', () => {
+		const OCRTool = loadScript('assets/js/ocr.js', 'OCRTool');
+		document.body.innerHTML = '<div id="analysis-content"></div>';
+		Object.create(OCRTool.prototype).displayDetailedAnalysis({
+			words: [{ text: payload, confidence: payload }, { text: 'safe', confidence: 90 }],
+			paragraphs: [{ words: [payload], confidence: payload }]
+		});
+
+		const container = document.getElementById('analysis-content');
+		expect(container.textContent).toContain(payload.trim());
+		expectInert(container);
+	});
+
+	test.each(['assets/js/chat.js', 'assets/js/chat_enhanced.js'])('ChatWidget.addMessage (%s)', file => {
+		const ChatWidget = loadScript(file, 'ChatWidget');
+		document.body.innerHTML = '<div id="chat-messages"></div>';
+		const widget = Object.create(ChatWidget.prototype);
+		widget.messageHistory = [];
+
+		widget.addMessage(payload, 'user');
+		widget.addMessage(payload, 'bot', { suggestions: [payload] });
+
+		const container = document.getElementById('chat-messages');
+		expect(container.querySelector('.user-message .message-content').textContent).toContain(payload.trim());
+		expectInert(container);
+	});
+
+	test('VikasYadavApp.renderLatestPosts', () => {
+		const VikasYadavApp = loadScript('assets/js/app.js', 'VikasYadavApp');
+		document.body.innerHTML = '<div id="latest-posts"></div>';
+		Object.create(VikasYadavApp.prototype).renderLatestPosts([{
+			title: payload,
+			slug: payload,
+			featured_image: payload,
+			excerpt: payload,
+			category: payload,
+			published_at: '2025-03-01'
+		}]);
+
+		const container = document.getElementById('latest-posts');
+		expect(container.querySelector('h3').textContent).toBe(payload);
+		expectInert(container);
+	});
+});